@@ -1,37 +1,47 @@
 import React from 'react';
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { createBrowserRouter, createRoutesFromElements, RouterProvider, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import DocumentEditor from './pages/DocumentEditor';
+import SharedDocument from './pages/SharedDocument';
+import ForgotPassword from './pages/ForgotPassword';
+import Settings from './pages/Settings';
 import ProtectedRoute from './components/ProtectedRoute';
 import { Toaster } from 'react-hot-toast';
 
+// Data router so pages can use navigation blockers (e.g. unsaved changes in the editor)
+const router = createBrowserRouter(createRoutesFromElements(
+  <>
+    <Route path="/login" element={<Login />} />
+    <Route path="/register" element={<Register />} />
+    <Route path="/forgot-password" element={<ForgotPassword />} />
+    {/* Share links are public; editor links prompt for sign-in from the page itself */}
+    <Route path="/s/:token" element={<SharedDocument />} />
+
+    <Route element={<ProtectedRoute />}>
+      <Route path="/" element={<Dashboard />} />
+      <Route path="/d/:id" element={<DocumentEditor />} />
+      <Route path="/settings" element={<Settings />} />
+    </Route>
+
+    <Route path="*" element={<Navigate to="/" replace />} />
+  </>
+));
+
 function App() {
   return (
     <AuthProvider>
-      <BrowserRouter>
-        <Toaster position="top-right" toastOptions={{
-          style: {
-            background: '#1E293B',
-            color: '#F8FAFC',
-            border: '1px solid rgba(255, 255, 255, 0.1)',
-          },
-        }} />
-        <Routes>
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} />
-
-          <Route element={<ProtectedRoute />}>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/d/:id" element={<DocumentEditor />} />
-          </Route>
-
-          <Route path="*" element={<Navigate to="/" replace />} />
-        </Routes>
-      </BrowserRouter>
+      <Toaster position="top-right" toastOptions={{
+        style: {
+          background: '#1E293B',
+          color: '#F8FAFC',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+        },
+      }} />
+      <RouterProvider router={router} />
     </AuthProvider>
   );
 }
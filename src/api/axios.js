@@ -1,15 +1,87 @@
 import axios from 'axios';
 
+const baseURL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
 const api = axios.create({
-    baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
+    baseURL,
     headers: {
         'Content-Type': 'application/json',
     },
 });
 
+// Short-lived access token plus a refresh token that the server rotates on every use
+export const setTokens = ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+};
+
+// AuthContext registers this to log out once a session can no longer be refreshed
+let handleSessionExpired = () => {};
+export const onSessionExpired = (handler) => {
+    handleSessionExpired = handler;
+};
+
+// Requests that must never trigger a refresh (they mint, revoke or don't need a session)
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/2fa/verify', '/auth/2fa/resend'];
+
+// At most one refresh runs at a time; every request that hits a 401 meanwhile waits on it
+let refreshPromise = null;
+
+// POST /auth/refresh { refreshToken } -> { token, refreshToken }
+// Sent with plain axios so a failing refresh doesn't loop back through the interceptors.
+const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) throw new Error('No refresh token');
+            try {
+                const { data } = await axios.post(`${baseURL}/auth/refresh`, { refreshToken });
+                setTokens(data);
+                return data.token;
+            } catch (err) {
+                // Another tab may have rotated the refresh token first; its new access token is ours too
+                const latest = localStorage.getItem('refreshToken');
+                if (latest && latest !== refreshToken) return localStorage.getItem('token');
+                throw err;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+// The session is over only when there is no refresh token left or the server turns it down.
+// Anything else (offline, timeouts, 5xx) may pass, so the tokens are kept for the next try.
+const isSessionRejected = (err) => !localStorage.getItem('refreshToken') || [401, 403].includes(err.response?.status);
+
+// Refreshes the session for callers outside this client (e.g. the socket handshake).
+// If the server rejects it the session is over, exactly as for a failed request.
+export const refreshAccessToken = async () => {
+    try {
+        return await refreshSession();
+    } catch (err) {
+        console.error('Session refresh failed', err);
+        if (isSessionRejected(err)) {
+            clearTokens();
+            handleSessionExpired();
+        }
+        throw err;
+    }
+};
+
 // Intercept requests to add the auth token from localStorage
 api.interceptors.request.use(
-    (config) => {
+    async (config) => {
+        // Hold new requests while a refresh is in flight instead of sending a token we know is stale
+        if (refreshPromise && !AUTH_ENDPOINTS.includes(config.url)) {
+            await refreshPromise.catch(() => {});
+        }
         const token = localStorage.getItem('token');
         if (token) {
             config.headers['Authorization'] = `Bearer ${token}`;
@@ -21,4 +93,25 @@ api.interceptors.request.use(
     }
 );
 
+// A 401 gets one retry with a refreshed token; if the server rejects the refresh the session is over
+api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config._retried || AUTH_ENDPOINTS.includes(config.url)) {
+            return Promise.reject(error);
+        }
+
+        let token;
+        try {
+            token = await refreshAccessToken();
+        } catch {
+            return Promise.reject(error);
+        }
+        config._retried = true;
+        config.headers['Authorization'] = `Bearer ${token}`;
+        return api(config);
+    }
+);
+
 export default api;
@@ -0,0 +1,49 @@
+import { io } from 'socket.io-client';
+import { refreshAccessToken } from './axios';
+
+export const SOCKET_URL = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
+
+// Handshake errors the server raises from its JWT middleware (in `err.data.code`)
+const AUTH_ERROR_CODES = ['TOKEN_EXPIRED', 'UNAUTHORIZED'];
+
+export const isAuthError = (err) => AUTH_ERROR_CODES.includes(err?.data?.code);
+
+// Every connection authenticates with the current access token, read again on each
+// (re)connect so refreshed tokens are picked up. The server identifies the user from
+// it; nothing the client sends about who it is gets trusted.
+//
+// A rejected handshake stops socket.io from reconnecting on its own, so we refresh the
+// session once and connect again. If the server rejects the refresh the user is signed
+// out; if it turns down the refreshed token as well, `onAuthFailed(err)` decides what
+// comes next (the following connect() gets one more refresh).
+// Other `options` go to io(), e.g. { reconnection: false } for callers that schedule their own.
+export const createSocket = ({ onAuthFailed, ...options } = {}) => {
+    const socket = io(SOCKET_URL, {
+        ...options,
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    });
+
+    let retriedAuth = false;
+    socket.on('connect', () => {
+        retriedAuth = false;
+    });
+    socket.on('connect_error', async (err) => {
+        if (!isAuthError(err)) return;
+        if (retriedAuth) {
+            retriedAuth = false;
+            onAuthFailed?.(err);
+            return;
+        }
+        retriedAuth = true;
+        try {
+            await refreshAccessToken();
+            socket.connect();
+        } catch {
+            // Signed out, and ProtectedRoute takes it from here, unless the refresh only failed on
+            // the way (e.g. offline). Then the session is still there and the usual retries can run.
+            if (localStorage.getItem('refreshToken')) socket.connect();
+        }
+    });
+
+    return socket;
+};
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import api from '../api/axios';
+
+// Devices signed in to the account, one per refresh token.
+//
+// REST:
+//   GET    /auth/sessions      -> [{ _id, browser, os, deviceType: 'desktop'|'mobile', ip, lastActiveAt, current }]
+//   DELETE /auth/sessions/:id  (not the current one; use logout for that)
+//   DELETE /auth/sessions      (every session, this one included)
+const ActiveSessions = () => {
+    const { logout } = useContext(AuthContext);
+    const [sessions, setSessions] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [loadAttempt, setLoadAttempt] = useState(0); // Bumped by "Try again"
+
+    useEffect(() => {
+        const fetchSessions = async () => {
+            setLoadError(null);
+            try {
+                const { data } = await api.get('/auth/sessions');
+                setSessions(data);
+            } catch (err) {
+                console.error('Failed to fetch sessions', err);
+                setLoadError(err.response?.data?.message || 'Error loading sessions');
+            }
+        };
+
+        fetchSessions();
+    }, [loadAttempt]);
+
+    const handleRevoke = async (session) => {
+        try {
+            await api.delete(`/auth/sessions/${session._id}`);
+            setSessions(prev => prev.filter(s => s._id !== session._id));
+            toast.success('Signed out of that device');
+        } catch (err) {
+            console.error('Failed to revoke session', err);
+            toast.error(err.response?.data?.message || 'Error signing out the device');
+        }
+    };
+
+    const handleSignOutEverywhere = async () => {
+        if (!window.confirm('Sign out of CollabDocs on every device, including this one?')) return;
+        try {
+            await api.delete('/auth/sessions');
+            toast.success('Signed out everywhere');
+            // Our refresh token went with the rest, so there is nothing left for /auth/logout to revoke
+            logout({ alreadyRevoked: true });
+        } catch (err) {
+            console.error('Failed to sign out everywhere', err);
+            toast.error(err.response?.data?.message || 'Error signing out');
+        }
+    };
+
+    if (loadError) {
+        return (
+            <div className="auth-error">
+                {loadError}{' '}
+                <button className="btn" style={{ background: 'transparent', color: 'inherit', textDecoration: 'underline' }} onClick={() => setLoadAttempt(n => n + 1)}>
+                    Try again
+                </button>
+            </div>
+        );
+    }
+    if (!sessions) return <div className="loader">Loading sessions...</div>;
+
+    return (
+        <div>
+            <ul className="session-list">
+                {sessions.map(session => (
+                    <li key={session._id} className="session-item">
+                        {session.deviceType === 'mobile' ? <Smartphone size={20} /> : <Monitor size={20} />}
+                        <div className="session-details">
+                            <span>
+                                {session.browser || 'Unknown browser'} on {session.os || 'unknown device'}
+                                {session.current && <span className="session-current">This device</span>}
+                            </span>
+                            <span className="settings-hint">
+                                {session.ip} · Last active {new Date(session.lastActiveAt).toLocaleString()}
+                            </span>
+                        </div>
+                        {!session.current && (
+                            <button className="btn-icon delete-btn" title="Sign out this device" onClick={() => handleRevoke(session)}>
+                                <LogOut size={16} />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <div className="settings-actions">
+                <button className="btn btn-danger" onClick={handleSignOutEverywhere}>
+                    Sign Out Everywhere
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ActiveSessions;
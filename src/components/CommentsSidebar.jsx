@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Check, RotateCcw } from 'lucide-react';
+
+const QUOTE_LIMIT = 120;
+
+const formatTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const ThreadCard = ({ thread, onSelect, onReply, onSetResolved }) => {
+    const [replyText, setReplyText] = useState('');
+    const [isReplying, setIsReplying] = useState(false);
+
+    const handleReply = async (e) => {
+        e.preventDefault();
+        if (!replyText.trim()) return;
+        setIsReplying(true);
+        if (await onReply(thread._id, replyText.trim())) {
+            setReplyText('');
+        }
+        setIsReplying(false);
+    };
+
+    const isOrphaned = thread.anchor.length === 0;
+
+    return (
+        <div className={`comment-thread ${thread.resolved ? 'resolved' : ''}`}>
+            <button
+                type="button"
+                className="comment-quote"
+                onClick={() => onSelect(thread)}
+                disabled={isOrphaned}
+                title={isOrphaned ? 'The commented text was deleted' : 'Show in document'}
+            >
+                {isOrphaned ? <em>Original text was deleted</em> : `“${thread.quote}”`}
+            </button>
+
+            {thread.comments.map(comment => (
+                <div key={comment._id} className="comment">
+                    <div className="comment-meta">
+                        <strong>{comment.author?.username || 'Unknown'}</strong> · {formatTime(comment.createdAt)}
+                    </div>
+                    <div className="comment-body">{comment.body}</div>
+                </div>
+            ))}
+
+            {!thread.resolved && (
+                <form onSubmit={handleReply} className="comment-form">
+                    <textarea
+                        rows={2}
+                        placeholder="Reply..."
+                        value={replyText}
+                        onChange={(e) => setReplyText(e.target.value)}
+                    />
+                    {replyText.trim() && (
+                        <button type="submit" className="btn btn-primary" disabled={isReplying}>
+                            {isReplying ? 'Sending...' : 'Reply'}
+                        </button>
+                    )}
+                </form>
+            )}
+
+            <button
+                type="button"
+                className="btn comment-resolve"
+                onClick={() => onSetResolved(thread._id, !thread.resolved)}
+            >
+                {thread.resolved
+                    ? <><RotateCcw size={14} style={{ marginRight: '0.35rem' }} /> Reopen</>
+                    : <><Check size={14} style={{ marginRight: '0.35rem' }} /> Resolve</>}
+            </button>
+        </div>
+    );
+};
+
+const quoteOf = (editor, range) => {
+    const text = editor.getText(range.index, range.length).trim();
+    return text.length > QUOTE_LIMIT ? `${text.slice(0, QUOTE_LIMIT)}…` : text;
+};
+
+// Open threads in document order, plus a form to comment on the current selection.
+// Commenting only reads the selection, so it works for viewers too.
+const CommentsSidebar = ({ quillRef, threads, onAddThread, onReply, onSetResolved, onClose }) => {
+    const [draft, setDraft] = useState(null); // { range, quote } of the selection being commented on
+    const [draftText, setDraftText] = useState('');
+    const [isPosting, setIsPosting] = useState(false);
+    const [showResolved, setShowResolved] = useState(false);
+
+    // Remember the last non-empty selection; focusing the comment box blurs the editor
+    useEffect(() => {
+        const editor = quillRef.current?.getEditor();
+        if (!editor) return;
+
+        const handleSelectionChange = (range, oldRange, source) => {
+            if (!range || source === 'api') return;
+            setDraft(range.length > 0 ? { range, quote: quoteOf(editor, range) } : null);
+        };
+
+        editor.on('selection-change', handleSelectionChange);
+        // Text selected before the sidebar was opened counts too
+        handleSelectionChange(editor.getSelection(), null, 'user');
+        return () => editor.off('selection-change', handleSelectionChange);
+    }, [quillRef]);
+
+    const handleAddThread = async (e) => {
+        e.preventDefault();
+        if (!draft || !draftText.trim()) return;
+        setIsPosting(true);
+        if (await onAddThread(draft.range, draft.quote, draftText.trim())) {
+            setDraftText('');
+            setDraft(null);
+        }
+        setIsPosting(false);
+    };
+
+    const handleSelectThread = (thread) => {
+        quillRef.current?.getEditor().setSelection(thread.anchor.index, thread.anchor.length, 'api');
+    };
+
+    const visibleThreads = threads
+        .filter(thread => showResolved || !thread.resolved)
+        .sort((a, b) => a.anchor.index - b.anchor.index);
+    const resolvedCount = threads.filter(thread => thread.resolved).length;
+
+    return (
+        <aside className="comments-sidebar glass-card">
+            <div className="modal-header" style={{ marginBottom: '1rem' }}>
+                <h3 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <MessageSquare size={18} /> Comments
+                </h3>
+                <button className="btn-icon" onClick={onClose}>
+                    <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                </button>
+            </div>
+
+            {draft ? (
+                <form onSubmit={handleAddThread} className="comment-thread comment-form">
+                    <div className="comment-quote">“{draft.quote}”</div>
+                    <textarea
+                        rows={3}
+                        placeholder="Add a comment..."
+                        value={draftText}
+                        onChange={(e) => setDraftText(e.target.value)}
+                        autoFocus
+                    />
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button type="submit" className="btn btn-primary" disabled={isPosting || !draftText.trim()}>
+                            {isPosting ? 'Posting...' : 'Comment'}
+                        </button>
+                        <button type="button" className="btn" style={{ background: 'transparent' }} onClick={() => setDraft(null)}>
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <p className="comment-hint">Select text in the document to start a thread.</p>
+            )}
+
+            {visibleThreads.length === 0 && (
+                <p className="comment-hint">No open comments.</p>
+            )}
+
+            {visibleThreads.map(thread => (
+                <ThreadCard
+                    key={thread._id}
+                    thread={thread}
+                    onSelect={handleSelectThread}
+                    onReply={onReply}
+                    onSetResolved={onSetResolved}
+                />
+            ))}
+
+            {resolvedCount > 0 && (
+                <button type="button" className="btn comment-resolve" onClick={() => setShowResolved(prev => !prev)}>
+                    {showResolved ? 'Hide resolved' : `Show resolved (${resolvedCount})`}
+                </button>
+            )}
+        </aside>
+    );
+};
+
+export default CommentsSidebar;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { CloudLightning, CloudOff, RefreshCw, ShieldAlert } from 'lucide-react';
+import { useCountdown } from '../hooks/useCountdown';
+
+// Header indicator for the document connection (states from createDocumentSync)
+const ConnectionStatus = ({ connection, isLive, syncConflict, onRetry }) => {
+    const secondsUntilRetry = useCountdown(connection.retryAt);
+
+    if (connection.status === 'offline') {
+        return <><CloudOff size={14} style={{ marginRight: '4px' }} /> Offline</>;
+    }
+
+    if (connection.status === 'unauthorized') {
+        return (
+            <span className="connection-status" title="The server did not accept your sign-in for this connection">
+                <ShieldAlert size={14} color="var(--error)" style={{ marginRight: '4px' }} />
+                Not connected
+                <button type="button" className="connection-retry" onClick={onRetry}>Retry now</button>
+            </span>
+        );
+    }
+
+    if (connection.status === 'reconnecting') {
+        return (
+            <span className="connection-status" title={`Attempt ${connection.attempt}`}>
+                <RefreshCw size={14} style={{ marginRight: '4px' }} />
+                {secondsUntilRetry > 0 ? `Reconnecting in ${secondsUntilRetry}s` : 'Reconnecting...'}
+                <button type="button" className="connection-retry" onClick={onRetry}>Retry now</button>
+            </span>
+        );
+    }
+
+    if (connection.status === 'connecting') {
+        return (
+            <span className="connection-status">
+                <RefreshCw size={14} className="spin" style={{ marginRight: '4px' }} />
+                {connection.rejoining ? 'Resyncing...' : 'Connecting...'}
+            </span>
+        );
+    }
+
+    if (isLive) {
+        return <><CloudLightning size={14} color="var(--secondary)" style={{ marginRight: '4px' }} /> Syncing Real-Time</>;
+    }
+    return syncConflict ? 'Sync paused' : 'Resyncing...';
+};
+
+export default ConnectionStatus;
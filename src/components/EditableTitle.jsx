@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+
+const MAX_TITLE_LENGTH = 120;
+
+// Click-to-edit document title. `onRename(title)` persists the change and
+// resolves to whether it went through; a successful rename offers an undo.
+const EditableTitle = ({ title, canEdit, onRename, as = 'h2', className }) => {
+    const Heading = as;
+    const [draft, setDraft] = useState(null); // null while not editing
+    const [isSaving, setIsSaving] = useState(false);
+
+    const startEditing = (e) => {
+        if (!canEdit) return;
+        e.stopPropagation();
+        setDraft(title);
+    };
+
+    const undoRename = async (toastId, previous) => {
+        toast.dismiss(toastId);
+        if (await onRename(previous)) {
+            toast.success(`Title restored to "${previous}"`);
+        }
+    };
+
+    // An invalid title keeps the input open with an error on Enter; leaving the
+    // input (`isBlur`) just goes back to the saved title.
+    const commit = async (isBlur) => {
+        // Enter followed by the input's blur must not save twice
+        if (draft === null || isSaving) return;
+        const next = draft.trim();
+        const error = !next
+            ? 'Title cannot be empty'
+            : next.length > MAX_TITLE_LENGTH && `Title must be ${MAX_TITLE_LENGTH} characters or fewer`;
+        if (next === title || (error && isBlur)) {
+            setDraft(null);
+            return;
+        }
+        if (error) {
+            toast.error(error);
+            return;
+        }
+
+        const previous = title;
+        setIsSaving(true);
+        const ok = await onRename(next);
+        setIsSaving(false);
+        if (!ok) return;
+
+        setDraft(null);
+        toast((t) => (
+            <span style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                Renamed to "{next}"
+                <button className="btn" style={{ padding: '0.25rem 0.6rem', background: 'var(--surface)' }} onClick={() => undoRename(t.id, previous)}>
+                    Undo
+                </button>
+            </span>
+        ), { duration: 6000 });
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commit(false);
+        } else if (e.key === 'Escape') {
+            setDraft(null);
+        }
+    };
+
+    if (draft !== null) {
+        return (
+            <input
+                className="title-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={() => commit(true)}
+                onClick={(e) => e.stopPropagation()}
+                disabled={isSaving}
+                autoFocus
+            />
+        );
+    }
+
+    return (
+        <Heading
+            className={`${className || ''} ${canEdit ? 'editable-title' : ''}`}
+            onClick={canEdit ? startEditing : undefined}
+            title={canEdit ? 'Click to rename' : undefined}
+        >
+            {title}
+        </Heading>
+    );
+};
+
+export default EditableTitle;
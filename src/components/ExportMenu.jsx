@@ -0,0 +1,61 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { EXPORT_FORMATS, exportDocument } from '../utils/exportDocument';
+
+// Download button with a format picker. `getHtml` is read at click time so the
+// export always reflects what is on screen right now.
+const ExportMenu = ({ title, getHtml, label }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [exportingFormat, setExportingFormat] = useState(null);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClickOutside = (e) => {
+            if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const handleExport = async (format) => {
+        setIsOpen(false);
+        setExportingFormat(format);
+        try {
+            await exportDocument(format, { title, html: getHtml() });
+        } catch (err) {
+            console.error('Failed to export document', err);
+            toast.error('Export failed. Please try again.');
+        } finally {
+            setExportingFormat(null);
+        }
+    };
+
+    return (
+        <div className="export-menu" ref={menuRef}>
+            <button
+                className="btn"
+                style={{ background: 'var(--surface)' }}
+                title="Export"
+                onClick={() => setIsOpen(prev => !prev)}
+                disabled={Boolean(exportingFormat)}
+            >
+                <Download size={16} style={label ? { marginRight: '0.5rem' } : undefined} />
+                {exportingFormat ? 'Exporting...' : label}
+            </button>
+
+            {isOpen && (
+                <div className="export-menu-list glass-card">
+                    {EXPORT_FORMATS.map(format => (
+                        <button key={format.value} type="button" onClick={() => handleExport(format.value)}>
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Folder, FolderOpen, FolderPlus, Files, Users, ChevronRight, ChevronDown, Pencil, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+import { TAG_COLORS } from '../hooks/useTags';
+import { DOCUMENT_DRAG_TYPE } from '../utils/dragAndDrop';
+
+// Inline name input used for both new folders and renames
+const FolderNameForm = ({ initialValue = '', onSubmit, onCancel }) => {
+    const [value, setValue] = useState(initialValue);
+    return (
+        <form
+            className="folder-name-form"
+            onSubmit={(e) => { e.preventDefault(); if (value.trim()) onSubmit(value.trim()); }}
+        >
+            <input
+                autoFocus
+                placeholder="Folder name"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+            />
+        </form>
+    );
+};
+
+// Folder tree, "Shared with me", the trash and the user's tags. Owned documents can be
+// dragged from the grid onto any folder (or "All documents" to unfile them).
+//
+// REST:
+//   GET    /folders                    -> [{ _id, name, parent }]
+//   POST   /folders { name, parent }   -> folder
+//   PATCH  /folders/:id { name }       -> folder
+//   DELETE /folders/:id                (documents and subfolders move up to the parent)
+const FolderSidebar = ({
+    folders, onFoldersChange, activeFolder, activeTag, tags,
+    onSelectFolder, onSelectTag, onCreateTag, onDeleteTag, onDropDocument,
+}) => {
+    const [collapsed, setCollapsed] = useState([]);
+    const [editing, setEditing] = useState(null); // { mode: 'create', parent } | { mode: 'rename', folder }
+    const [dropTarget, setDropTarget] = useState(null);
+    const [newTagName, setNewTagName] = useState('');
+
+    const childrenOf = (parentId) => folders
+        .filter(folder => (folder.parent || null) === parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const handleCreateFolder = async (name) => {
+        try {
+            const { data } = await api.post('/folders', { name, parent: editing.parent });
+            onFoldersChange([...folders, data]);
+            setCollapsed(prev => prev.filter(id => id !== editing.parent));
+            setEditing(null);
+        } catch (err) {
+            console.error('Failed to create folder', err);
+            toast.error(err.response?.data?.message || 'Error creating folder');
+        }
+    };
+
+    const handleRenameFolder = async (name) => {
+        try {
+            const { data } = await api.patch(`/folders/${editing.folder._id}`, { name });
+            onFoldersChange(folders.map(folder => folder._id === data._id ? data : folder));
+            setEditing(null);
+        } catch (err) {
+            console.error('Failed to rename folder', err);
+            toast.error(err.response?.data?.message || 'Error renaming folder');
+        }
+    };
+
+    const handleDeleteFolder = async (folder) => {
+        if (!window.confirm(`Delete the folder "${folder.name}"? Its documents and subfolders move up one level.`)) return;
+        try {
+            await api.delete(`/folders/${folder._id}`);
+            onFoldersChange(folders
+                .filter(f => f._id !== folder._id)
+                .map(f => f.parent === folder._id ? { ...f, parent: folder.parent || null } : f));
+            if (activeFolder === folder._id) onSelectFolder('');
+        } catch (err) {
+            console.error('Failed to delete folder', err);
+            toast.error(err.response?.data?.message || 'Error deleting folder');
+        }
+    };
+
+    const handleCreateTag = async (e) => {
+        e.preventDefault();
+        if (!newTagName.trim()) return;
+        // Cycle through the palette so new tags are told apart at a glance
+        if (await onCreateTag(newTagName.trim(), TAG_COLORS[tags.length % TAG_COLORS.length])) {
+            setNewTagName('');
+        }
+    };
+
+    // Drop handlers shared by folders and the "All documents" root (folderId null)
+    const dropProps = (key, folderId) => ({
+        onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(DOCUMENT_DRAG_TYPE)) return;
+            e.preventDefault();
+            setDropTarget(key);
+        },
+        onDragLeave: () => setDropTarget(prev => prev === key ? null : prev),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(null);
+            const documentId = e.dataTransfer.getData(DOCUMENT_DRAG_TYPE);
+            if (documentId) onDropDocument(documentId, folderId);
+        },
+    });
+
+    const toggleCollapsed = (folderId) => {
+        setCollapsed(prev => prev.includes(folderId) ? prev.filter(id => id !== folderId) : [...prev, folderId]);
+    };
+
+    const renderFolder = (folder, depth) => {
+        const children = childrenOf(folder._id);
+        const isCollapsed = collapsed.includes(folder._id);
+        const isActive = activeFolder === folder._id;
+
+        return (
+            <li key={folder._id}>
+                {editing?.mode === 'rename' && editing.folder._id === folder._id ? (
+                    <div style={{ paddingLeft: `${depth * 0.9 + 1.4}rem` }}>
+                        <FolderNameForm initialValue={folder.name} onSubmit={handleRenameFolder} onCancel={() => setEditing(null)} />
+                    </div>
+                ) : (
+                    <div
+                        className={`folder-item ${isActive ? 'active' : ''} ${dropTarget === folder._id ? 'drop-target' : ''}`}
+                        style={{ paddingLeft: `${depth * 0.9 + 0.4}rem` }}
+                        onClick={() => onSelectFolder(folder._id)}
+                        {...dropProps(folder._id, folder._id)}
+                    >
+                        <button
+                            type="button"
+                            className="folder-toggle"
+                            onClick={(e) => { e.stopPropagation(); toggleCollapsed(folder._id); }}
+                            style={{ visibility: children.length > 0 ? 'visible' : 'hidden' }}
+                        >
+                            {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                        </button>
+                        {isActive ? <FolderOpen size={16} /> : <Folder size={16} />}
+                        <span className="folder-name">{folder.name}</span>
+                        <span className="folder-actions" onClick={(e) => e.stopPropagation()}>
+                            <button type="button" className="btn-icon" title="New subfolder" onClick={() => setEditing({ mode: 'create', parent: folder._id })}>
+                                <FolderPlus size={13} />
+                            </button>
+                            <button type="button" className="btn-icon" title="Rename" onClick={() => setEditing({ mode: 'rename', folder })}>
+                                <Pencil size={13} />
+                            </button>
+                            <button type="button" className="btn-icon delete-btn" title="Delete folder" onClick={() => handleDeleteFolder(folder)}>
+                                <Trash2 size={13} />
+                            </button>
+                        </span>
+                    </div>
+                )}
+
+                {!isCollapsed && (children.length > 0 || (editing?.mode === 'create' && editing.parent === folder._id)) && (
+                    <ul>
+                        {children.map(child => renderFolder(child, depth + 1))}
+                        {editing?.mode === 'create' && editing.parent === folder._id && (
+                            <li style={{ paddingLeft: `${(depth + 1) * 0.9 + 1.4}rem` }}>
+                                <FolderNameForm onSubmit={handleCreateFolder} onCancel={() => setEditing(null)} />
+                            </li>
+                        )}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <aside className="folder-sidebar glass-card">
+            <div
+                className={`folder-item ${activeFolder === '' ? 'active' : ''} ${dropTarget === 'root' ? 'drop-target' : ''}`}
+                onClick={() => onSelectFolder('')}
+                {...dropProps('root', null)}
+            >
+                <Files size={16} /> <span className="folder-name">All documents</span>
+            </div>
+
+            <div className="version-section-title folder-section-title">
+                Folders
+                <button type="button" className="btn-icon" title="New folder" onClick={() => setEditing({ mode: 'create', parent: null })}>
+                    <FolderPlus size={14} />
+                </button>
+            </div>
+            <ul className="folder-tree">
+                {childrenOf(null).map(folder => renderFolder(folder, 0))}
+                {editing?.mode === 'create' && editing.parent === null && (
+                    <li style={{ paddingLeft: '1.4rem' }}>
+                        <FolderNameForm onSubmit={handleCreateFolder} onCancel={() => setEditing(null)} />
+                    </li>
+                )}
+            </ul>
+
+            <div
+                className={`folder-item ${activeFolder === 'shared' ? 'active' : ''}`}
+                style={{ marginTop: '0.75rem' }}
+                onClick={() => onSelectFolder('shared')}
+            >
+                <Users size={16} /> <span className="folder-name">Shared with me</span>
+            </div>
+
+            <div
+                className={`folder-item ${activeFolder === 'trash' ? 'active' : ''}`}
+                onClick={() => onSelectFolder('trash')}
+            >
+                <Trash2 size={16} /> <span className="folder-name">Trash</span>
+            </div>
+
+            <div className="version-section-title folder-section-title">Tags</div>
+            {tags.map(tag => (
+                <div
+                    key={tag._id}
+                    className={`folder-item ${activeTag === tag._id ? 'active' : ''}`}
+                    onClick={() => onSelectTag(activeTag === tag._id ? '' : tag._id)}
+                >
+                    <span className="tag-dot" style={{ background: tag.color }} />
+                    <span className="folder-name">{tag.name}</span>
+                    <span className="folder-actions" onClick={(e) => e.stopPropagation()}>
+                        <button type="button" className="btn-icon delete-btn" title="Delete tag" onClick={() => onDeleteTag(tag)}>
+                            <X size={13} />
+                        </button>
+                    </span>
+                </div>
+            ))}
+            <form onSubmit={handleCreateTag} className="folder-name-form">
+                <input placeholder="+ New tag" value={newTagName} onChange={(e) => setNewTagName(e.target.value)} />
+            </form>
+        </aside>
+    );
+};
+
+export default FolderSidebar;
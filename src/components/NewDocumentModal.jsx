@@ -0,0 +1,210 @@
+import React, { useState, useRef, useContext } from 'react';
+import { X, Upload, CheckCircle, XCircle, Loader } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import api from '../api/axios';
+import { IMPORT_ACCEPT, isImportable, readImportFile, titleFromFileName } from '../utils/importDocument';
+import { fillTitle, fillContent } from '../utils/templates';
+import TemplateGallery from './TemplateGallery';
+
+// Blank or templated document by title, or one document per imported file. A single
+// file opens straight away; several are created one after another with a summary.
+const NewDocumentModal = ({ onCreated, onImported, onClose }) => {
+    const { user } = useContext(AuthContext);
+    const [title, setTitle] = useState('');
+    const [template, setTemplate] = useState(null);
+    const [templateTitle, setTemplateTitle] = useState(''); // Title the template suggested, replaced on switching
+    const [uploads, setUploads] = useState([]); // [{ key, file, status: 'pending'|'importing'|'done'|'failed', error }]
+    const [isCreating, setIsCreating] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const isBulk = uploads.length > 1;
+    const isFinished = uploads.length > 0 && uploads.every(u => u.status === 'done' || u.status === 'failed');
+
+    const addFiles = (fileList) => {
+        const files = Array.from(fileList);
+        const rejected = files.filter(file => !isImportable(file));
+        if (rejected.length > 0) {
+            toast.error(`Unsupported file type: ${rejected.map(file => file.name).join(', ')}`);
+        }
+
+        const accepted = files.filter(isImportable).map((file, i) => ({ key: `${file.name}-${Date.now()}-${i}`, file, status: 'pending' }));
+        if (accepted.length === 0) return;
+
+        const next = [...uploads.filter(u => u.status === 'pending'), ...accepted];
+        setUploads(next);
+        if (next.length === 1 && !title.trim()) {
+            setTitle(titleFromFileName(next[0].file.name));
+        }
+    };
+
+    const handleSelectTemplate = (selected) => {
+        setTemplate(selected);
+        // Only overwrite a title the user has not typed themselves
+        if (!title.trim() || title === templateTitle) {
+            const suggested = selected ? fillTitle(selected.title || selected.name, { author: user?.username }) : '';
+            setTitle(suggested);
+            setTemplateTitle(suggested);
+        }
+    };
+
+    const updateUpload = (key, changes) => {
+        setUploads(prev => prev.map(u => u.key === key ? { ...u, ...changes } : u));
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (!isCreating) addFiles(e.dataTransfer.files);
+    };
+
+    const createSingle = async () => {
+        const upload = uploads[0];
+        let body = {};
+        if (upload) {
+            body = await readImportFile(upload.file);
+        } else if (template) {
+            body = { content: fillContent(template.content, { author: user?.username, title: title.trim() }) };
+        }
+        const { data } = await api.post('/documents', { ...body, title: title.trim() || body.title });
+        onCreated(data);
+    };
+
+    const createBulk = async () => {
+        const pending = uploads.filter(u => u.status === 'pending');
+        let imported = 0;
+        for (const upload of pending) {
+            updateUpload(upload.key, { status: 'importing' });
+            try {
+                await api.post('/documents', await readImportFile(upload.file));
+                updateUpload(upload.key, { status: 'done' });
+                imported += 1;
+            } catch (err) {
+                console.error(`Failed to import ${upload.file.name}`, err);
+                updateUpload(upload.key, { status: 'failed', error: err.response?.data?.message || err.message });
+            }
+        }
+
+        if (imported === pending.length) {
+            toast.success(`Imported ${imported} documents`);
+            onClose();
+        } else {
+            toast.error(`Imported ${imported} of ${pending.length} documents`);
+        }
+        onImported();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!isBulk && !title.trim() && uploads.length === 0) return;
+
+        setIsCreating(true);
+        try {
+            await (isBulk ? createBulk() : createSingle());
+        } catch (err) {
+            console.error('Failed to create document', err);
+            toast.error(err.response?.data?.message || err.message || 'Error creating document');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const pendingCount = uploads.filter(u => u.status === 'pending').length;
+
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content" style={{ maxWidth: '600px' }}>
+                <div className="modal-header">
+                    <h2>Create New Document</h2>
+                    <button className="btn-icon" onClick={onClose} disabled={isCreating}>
+                        <X size={24} />
+                    </button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    {uploads.length === 0 && (
+                        <TemplateGallery selectedId={template?._id ?? null} onSelect={handleSelectTemplate} />
+                    )}
+
+                    {!isBulk && (
+                        <div className="input-group" style={{ marginBottom: '1rem' }}>
+                            <input
+                                type="text"
+                                placeholder="Document Title (e.g., Marketing Plan)"
+                                value={title}
+                                onChange={(e) => setTitle(e.target.value)}
+                                autoFocus
+                                required={uploads.length === 0}
+                            />
+                        </div>
+                    )}
+
+                    <div
+                        className={`import-dropzone ${isDragging ? 'dragging' : ''}`}
+                        onClick={() => !isCreating && fileInputRef.current?.click()}
+                        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                        onDragLeave={() => setIsDragging(false)}
+                        onDrop={handleDrop}
+                    >
+                        <Upload size={20} />
+                        <span>Drop files here or click to import</span>
+                        <span className="import-dropzone-hint">Markdown, HTML, Word (.docx) or plain text</span>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={IMPORT_ACCEPT}
+                            multiple
+                            hidden
+                            onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+                        />
+                    </div>
+
+                    {uploads.length > 0 && (
+                        <ul className="import-file-list">
+                            {uploads.map(upload => (
+                                <li key={upload.key} className={`import-file ${upload.status}`}>
+                                    {upload.status === 'importing' && <Loader size={14} />}
+                                    {upload.status === 'done' && <CheckCircle size={14} />}
+                                    {upload.status === 'failed' && <XCircle size={14} />}
+                                    <span className="import-file-name">{upload.file.name}</span>
+                                    {upload.error && <span className="import-file-error">{upload.error}</span>}
+                                    {upload.status === 'pending' && !isCreating && (
+                                        <button
+                                            type="button"
+                                            className="btn-icon"
+                                            onClick={() => setUploads(prev => prev.filter(u => u.key !== upload.key))}
+                                            title="Remove file"
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="modal-actions">
+                        <button type="button" className="btn" onClick={onClose} disabled={isCreating} style={{ background: 'transparent' }}>
+                            {isFinished ? 'Close' : 'Cancel'}
+                        </button>
+                        {!isFinished && (
+                            <button
+                                type="submit"
+                                className="btn btn-primary"
+                                disabled={isCreating || (isBulk ? pendingCount === 0 : !title.trim() && uploads.length === 0)}
+                            >
+                                {isCreating
+                                    ? (isBulk ? 'Importing...' : 'Creating...')
+                                    : isBulk ? `Import ${pendingCount} Documents`
+                                        : uploads.length === 1 ? 'Import Document'
+                                            : template ? 'Create from Template' : 'Create Document'}
+                            </button>
+                        )}
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default NewDocumentModal;
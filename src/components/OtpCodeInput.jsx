@@ -0,0 +1,24 @@
+import React from 'react';
+import { KeyRound } from 'lucide-react';
+
+// The 6-digit code field shared by sign-up, password reset and two-factor sign-in
+const OtpCodeInput = ({ value, onChange, placeholder = '6-digit OTP', autoFocus = true }) => (
+    <div className="input-group">
+        <KeyRound className="input-icon" />
+        <input
+            type="text"
+            inputMode="numeric"
+            placeholder={placeholder}
+            value={value}
+            onChange={(e) => onChange(e.target.value.replace(/\D/g, ''))}
+            required
+            maxLength={6}
+            pattern="[0-9]{6}"
+            title="Please enter exactly 6 digits"
+            autoComplete="one-time-code"
+            autoFocus={autoFocus}
+        />
+    </div>
+);
+
+export default OtpCodeInput;
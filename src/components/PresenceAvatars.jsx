@@ -0,0 +1,30 @@
+import UserAvatar from './UserAvatar';
+
+const MAX_VISIBLE = 4;
+
+const PresenceAvatars = ({ collaborators }) => {
+    if (collaborators.length === 0) return null;
+
+    const visible = collaborators.slice(0, MAX_VISIBLE);
+    const overflow = collaborators.length - visible.length;
+
+    return (
+        <div className="presence-avatars">
+            {visible.map(({ clientId, user, idle }) => (
+                <UserAvatar
+                    key={clientId}
+                    user={user}
+                    className={`presence-avatar ${idle ? 'idle' : ''}`}
+                    title={`${user?.username || 'Anonymous'}${idle ? ' (idle)' : ''}`}
+                />
+            ))}
+            {overflow > 0 && (
+                <div className="user-avatar presence-avatar overflow" title={collaborators.slice(MAX_VISIBLE).map(c => c.user?.username).join(', ')}>
+                    +{overflow}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PresenceAvatars;
@@ -1,15 +1,17 @@
-import { Navigate, Outlet } from 'react-router-dom';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
 import { useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 
 const ProtectedRoute = () => {
     const { user, loading } = useContext(AuthContext);
+    const location = useLocation();
 
     if (loading) {
         return <div className="loader">Loading...</div>;
     }
 
-    return user ? <Outlet /> : <Navigate to="/login" replace />;
+    // Login sends the user back here afterwards (e.g. when their session expired mid-edit)
+    return user ? <Outlet /> : <Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}${location.hash}` }} />;
 };
 
 export default ProtectedRoute;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+import { TEMPLATE_PLACEHOLDERS } from '../utils/templates';
+
+const fieldStyle = {
+    width: '100%',
+    padding: '0.85rem 1rem',
+    background: 'rgba(15, 23, 42, 0.6)',
+    border: '1px solid var(--border)',
+    borderRadius: '8px',
+    color: 'var(--text-main)',
+    fontFamily: 'inherit',
+    fontSize: '0.95rem'
+};
+
+// Saves the editor's current content as a reusable template.
+// POST /templates { name, description, title, content, scope } -> template
+const SaveTemplateModal = ({ documentTitle, getContent, onClose }) => {
+    const [name, setName] = useState(documentTitle || '');
+    const [description, setDescription] = useState('');
+    const [scope, setScope] = useState('personal');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+
+        setIsSaving(true);
+        try {
+            await api.post('/templates', {
+                name: name.trim(),
+                description: description.trim(),
+                title: name.trim(),
+                content: getContent(),
+                scope,
+            });
+            toast.success(scope === 'team' ? 'Template shared with your team' : 'Template saved');
+            onClose();
+        } catch (err) {
+            console.error('Failed to save template', err);
+            toast.error(err.response?.data?.message || 'Error saving template');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content" style={{ maxWidth: '480px' }}>
+                <div className="modal-header">
+                    <h2>Save as Template</h2>
+                    <button className="btn-icon" onClick={onClose}>
+                        <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="input-group" style={{ marginBottom: '1rem' }}>
+                        <input placeholder="Template name" value={name} onChange={(e) => setName(e.target.value)} autoFocus required />
+                    </div>
+                    <div className="input-group" style={{ marginBottom: '1rem' }}>
+                        <input placeholder="Short description (optional)" value={description} onChange={(e) => setDescription(e.target.value)} />
+                    </div>
+                    <select value={scope} onChange={(e) => setScope(e.target.value)} style={fieldStyle}>
+                        <option value="personal">Only me</option>
+                        <option value="team">Everyone on my team</option>
+                    </select>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '0.85rem', marginTop: '1rem', lineHeight: 1.5 }}>
+                        Placeholders such as {TEMPLATE_PLACEHOLDERS.join(', ')} in the document are filled in when a new document is created from this template.
+                    </p>
+
+                    <div className="modal-actions">
+                        <button type="button" className="btn" onClick={onClose} style={{ background: 'transparent' }}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={isSaving || !name.trim()}>
+                            {isSaving ? 'Saving...' : 'Save Template'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default SaveTemplateModal;
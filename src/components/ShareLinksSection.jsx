@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Link2, Copy, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+
+const EXPIRY_OPTIONS = [
+    { value: '', label: 'Never expires' },
+    { value: '1', label: 'Expires in 1 day' },
+    { value: '7', label: 'Expires in 7 days' },
+    { value: '30', label: 'Expires in 30 days' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shareLinkUrl = (token) => `${window.location.origin}/s/${token}`;
+
+// Revocable links that open the document at /s/:token without an account.
+// Viewer links are read-only; editor links ask the visitor to sign in first.
+const ShareLinksSection = ({ documentId }) => {
+    const [links, setLinks] = useState([]);
+    const [linkRole, setLinkRole] = useState('viewer');
+    const [expiryDays, setExpiryDays] = useState('');
+    const [isCreating, setIsCreating] = useState(false);
+
+    useEffect(() => {
+        const fetchLinks = async () => {
+            try {
+                const { data } = await api.get(`/documents/${documentId}/links`);
+                setLinks(data);
+            } catch (err) {
+                console.error('Failed to fetch share links', err);
+            }
+        };
+
+        fetchLinks();
+    }, [documentId]);
+
+    const copyLink = async (token) => {
+        try {
+            await navigator.clipboard.writeText(shareLinkUrl(token));
+            toast.success('Link copied to clipboard');
+        } catch (err) {
+            console.error('Failed to copy link', err);
+            toast.error('Could not copy the link');
+        }
+    };
+
+    const handleCreateLink = async () => {
+        setIsCreating(true);
+        try {
+            const expiresAt = expiryDays ? new Date(Date.now() + Number(expiryDays) * DAY_MS).toISOString() : null;
+            const { data } = await api.post(`/documents/${documentId}/links`, { role: linkRole, expiresAt });
+            setLinks(prev => [data, ...prev]);
+            copyLink(data.token);
+        } catch (err) {
+            console.error('Failed to create share link', err);
+            toast.error(err.response?.data?.message || 'Error creating share link');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const handleRevokeLink = async (link) => {
+        if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+        try {
+            await api.delete(`/documents/${documentId}/links/${link._id}`);
+            setLinks(prev => prev.filter(l => l._id !== link._id));
+            toast.success('Link revoked');
+        } catch (err) {
+            console.error('Failed to revoke share link', err);
+            toast.error(err.response?.data?.message || 'Error revoking link');
+        }
+    };
+
+    return (
+        <div className="collaborator-list">
+            <div className="version-section-title"><Link2 size={14} /> Share via link</div>
+
+            <div className="share-link-form">
+                <select value={linkRole} onChange={(e) => setLinkRole(e.target.value)}>
+                    <option value="viewer">Anyone with the link can view</option>
+                    <option value="editor">Signed-in users with the link can edit</option>
+                </select>
+                <select value={expiryDays} onChange={(e) => setExpiryDays(e.target.value)}>
+                    {EXPIRY_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <button type="button" className="btn btn-primary" onClick={handleCreateLink} disabled={isCreating}>
+                    {isCreating ? 'Creating...' : 'Create link'}
+                </button>
+            </div>
+
+            {links.map(link => (
+                <div key={link._id} className="collaborator-row">
+                    <div style={{ minWidth: 0 }}>
+                        <div className="collaborator-name" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <span className={`role-badge ${link.role}`}>{link.role}</span>
+                            <span className="collaborator-email">…/s/{link.token.slice(0, 8)}</span>
+                        </div>
+                        <div className="collaborator-email">
+                            {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleString()}` : 'Never expires'}
+                        </div>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                        <button className="btn-icon" onClick={() => copyLink(link.token)} title="Copy link">
+                            <Copy size={16} />
+                        </button>
+                        <button className="btn-icon delete-btn" onClick={() => handleRevokeLink(link)} title="Revoke link">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ShareLinksSection;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { Crown, UserMinus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+import ShareLinksSection from './ShareLinksSection';
+
+const SHARE_ROLES = [
+    { value: 'viewer', label: 'Viewer (Read-only)' },
+    { value: 'suggester', label: 'Suggester (Can suggest changes)' },
+    { value: 'editor', label: 'Editor (Can edit)' },
+];
+
+const selectStyle = {
+    width: '100%',
+    padding: '0.85rem 1rem',
+    background: 'rgba(15, 23, 42, 0.6)',
+    border: '1px solid var(--border)',
+    borderRadius: '8px',
+    color: 'var(--text-main)',
+    fontFamily: 'inherit',
+    fontSize: '0.95rem'
+};
+
+// Invite form plus the owner's view of everyone with access. Every change
+// returns the updated document, which is handed back via `onDocumentChange`.
+const ShareModal = ({ document, onDocumentChange, onClose }) => {
+    const [shareEmail, setShareEmail] = useState('');
+    const [shareRole, setShareRole] = useState('viewer');
+    const [isSharing, setIsSharing] = useState(false);
+    const [busyUserId, setBusyUserId] = useState(null);
+
+    const documentId = document._id;
+    const collaborators = (document.sharedWith || []).filter(s => s.userId);
+
+    const refreshDocument = async () => {
+        const { data } = await api.get(`/documents/${documentId}`);
+        onDocumentChange(data);
+    };
+
+    const handleShare = async (e) => {
+        e.preventDefault();
+        if (!shareEmail.trim()) return;
+
+        setIsSharing(true);
+        try {
+            await api.post(`/documents/${documentId}/share`, { email: shareEmail, role: shareRole });
+            toast.success(`Successfully shared with ${shareEmail} as ${shareRole}`);
+            setShareEmail('');
+            await refreshDocument();
+        } catch (err) {
+            console.error('Failed to share document', err);
+            toast.error(err.response?.data?.message || 'Error sharing document');
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    // Runs a collaborator change and applies the document the server sends back
+    const updateCollaborator = async (userId, request, successMessage) => {
+        setBusyUserId(userId);
+        try {
+            const { data } = await request();
+            onDocumentChange(data);
+            toast.success(successMessage);
+        } catch (err) {
+            console.error('Failed to update collaborator', err);
+            toast.error(err.response?.data?.message || 'Error updating collaborator');
+        } finally {
+            setBusyUserId(null);
+        }
+    };
+
+    const handleRoleChange = (collaborator, role) => {
+        updateCollaborator(
+            collaborator.userId._id,
+            () => api.patch(`/documents/${documentId}/share/${collaborator.userId._id}`, { role }),
+            `${collaborator.userId.username} is now ${role === 'editor' ? 'an' : 'a'} ${role}`
+        );
+    };
+
+    const handleRevoke = (collaborator) => {
+        if (!window.confirm(`Remove ${collaborator.userId.username}'s access to this document?`)) return;
+        updateCollaborator(
+            collaborator.userId._id,
+            () => api.delete(`/documents/${documentId}/share/${collaborator.userId._id}`),
+            `Removed ${collaborator.userId.username}`
+        );
+    };
+
+    const handleTransferOwnership = (collaborator) => {
+        if (!window.confirm(`Make ${collaborator.userId.username} the owner? You will become an editor and can no longer manage sharing.`)) return;
+        updateCollaborator(
+            collaborator.userId._id,
+            () => api.post(`/documents/${documentId}/transfer`, { userId: collaborator.userId._id }),
+            `${collaborator.userId.username} is now the owner`
+        );
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content" style={{ maxWidth: '540px' }}>
+                <div className="modal-header">
+                    <h2>Share Document</h2>
+                    <button className="btn-icon" onClick={onClose}>
+                        <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                    </button>
+                </div>
+
+                <form onSubmit={handleShare}>
+                    <div className="input-group" style={{ marginBottom: '1rem' }}>
+                        <input
+                            type="email"
+                            placeholder="User's Email Address"
+                            value={shareEmail}
+                            onChange={(e) => setShareEmail(e.target.value)}
+                            autoFocus
+                            required
+                        />
+                    </div>
+
+                    <div style={{ marginBottom: '1.5rem' }}>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                            Permission Role
+                        </label>
+                        <select value={shareRole} onChange={(e) => setShareRole(e.target.value)} style={selectStyle}>
+                            {SHARE_ROLES.map(role => (
+                                <option key={role.value} value={role.value}>{role.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="modal-actions" style={{ marginTop: '0' }}>
+                        <button type="submit" className="btn btn-primary" disabled={isSharing || !shareEmail.trim()}>
+                            {isSharing ? 'Sharing...' : 'Share Document'}
+                        </button>
+                    </div>
+                </form>
+
+                <div className="collaborator-list">
+                    <div className="version-section-title">People with access</div>
+
+                    <div className="collaborator-row">
+                        <div>
+                            <div className="collaborator-name">{document.owner?.username}</div>
+                            <div className="collaborator-email">{document.owner?.email}</div>
+                        </div>
+                        <span className="role-badge owner">owner</span>
+                    </div>
+
+                    {collaborators.length === 0 && (
+                        <div style={{ color: 'var(--text-muted)', fontSize: '0.9rem', padding: '0.5rem 0' }}>
+                            Not shared with anyone yet.
+                        </div>
+                    )}
+
+                    {collaborators.map(collaborator => {
+                        const isBusy = busyUserId === collaborator.userId._id;
+                        return (
+                            <div key={collaborator.userId._id} className="collaborator-row">
+                                <div style={{ minWidth: 0 }}>
+                                    <div className="collaborator-name">{collaborator.userId.username}</div>
+                                    <div className="collaborator-email">{collaborator.userId.email}</div>
+                                </div>
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                                    <select
+                                        value={collaborator.role}
+                                        onChange={(e) => handleRoleChange(collaborator, e.target.value)}
+                                        disabled={isBusy}
+                                        style={{ ...selectStyle, width: 'auto', padding: '0.4rem 0.6rem', fontSize: '0.85rem' }}
+                                    >
+                                        {SHARE_ROLES.map(role => (
+                                            <option key={role.value} value={role.value}>{role.value}</option>
+                                        ))}
+                                    </select>
+                                    <button className="btn-icon" onClick={() => handleTransferOwnership(collaborator)} disabled={isBusy} title="Make owner">
+                                        <Crown size={16} />
+                                    </button>
+                                    <button className="btn-icon delete-btn" onClick={() => handleRevoke(collaborator)} disabled={isBusy} title="Remove access">
+                                        <UserMinus size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <ShareLinksSection documentId={documentId} />
+
+                <div className="modal-actions">
+                    <button type="button" className="btn" onClick={onClose} style={{ background: 'transparent' }}>
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShareModal;
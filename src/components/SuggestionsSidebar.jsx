@@ -0,0 +1,68 @@
+import React from 'react';
+import { GitPullRequest, Check, X } from 'lucide-react';
+
+const PREVIEW_LIMIT = 120;
+
+const preview = (text) => {
+    const trimmed = text.trim() || '(whitespace)';
+    return trimmed.length > PREVIEW_LIMIT ? `${trimmed.slice(0, PREVIEW_LIMIT)}…` : trimmed;
+};
+
+// Pending tracked changes in document order. Only reviewers (owners and
+// editors) get the accept/reject controls.
+const SuggestionsSidebar = ({ quillRef, suggestions, canReview, onAccept, onReject, onAcceptAll, onRejectAll, onClose }) => {
+    const handleSelect = (suggestion) => {
+        quillRef.current?.getEditor().setSelection(suggestion.index, suggestion.length, 'api');
+    };
+
+    return (
+        <aside className="comments-sidebar glass-card">
+            <div className="modal-header" style={{ marginBottom: '1rem' }}>
+                <h3 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <GitPullRequest size={18} /> Suggestions
+                </h3>
+                <button className="btn-icon" onClick={onClose}>
+                    <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                </button>
+            </div>
+
+            {suggestions.length === 0 && (
+                <p className="comment-hint">No pending suggestions.</p>
+            )}
+
+            {canReview && suggestions.length > 1 && (
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+                    <button type="button" className="btn btn-primary" onClick={onAcceptAll}>Accept all</button>
+                    <button type="button" className="btn" style={{ background: 'transparent', border: '1px solid var(--border)' }} onClick={onRejectAll}>
+                        Reject all
+                    </button>
+                </div>
+            )}
+
+            {suggestions.map(suggestion => (
+                <div key={suggestion.id} className="comment-thread">
+                    <div className="comment-meta">
+                        <strong>{suggestion.author || 'Unknown'}</strong> · {new Date(suggestion.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                    </div>
+                    <button type="button" className="comment-quote" onClick={() => handleSelect(suggestion)} title="Show in document">
+                        {suggestion.type === 'insert' ? 'Add ' : 'Remove '}
+                        <span className={`suggestion-preview ${suggestion.type}`}>{preview(suggestion.text)}</span>
+                    </button>
+
+                    {canReview && (
+                        <div style={{ display: 'flex', gap: '0.25rem' }}>
+                            <button type="button" className="btn comment-resolve" onClick={() => onAccept(suggestion.id)}>
+                                <Check size={14} style={{ marginRight: '0.35rem' }} /> Accept
+                            </button>
+                            <button type="button" className="btn comment-resolve" onClick={() => onReject(suggestion.id)}>
+                                <X size={14} style={{ marginRight: '0.35rem' }} /> Reject
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ))}
+        </aside>
+    );
+};
+
+export default SuggestionsSidebar;
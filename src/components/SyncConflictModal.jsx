@@ -0,0 +1,37 @@
+import { AlertTriangle } from 'lucide-react';
+
+// `reason` is 'offline' (edits queued while disconnected) or 'save' (the server rejected a stale save)
+const SyncConflictModal = ({ reason, pendingCount, onResolve }) => {
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content" style={{ maxWidth: '520px' }}>
+                <div className="modal-header">
+                    <h2 style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <AlertTriangle size={22} color="#F59E0B" /> Sync Conflict
+                    </h2>
+                </div>
+
+                <p style={{ color: 'var(--text-muted)', lineHeight: 1.6 }}>
+                    {reason === 'offline'
+                        ? `You made ${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} while offline, but someone else edited this document in the meantime.`
+                        : 'Your save was rejected because the document was changed elsewhere since you last synced.'}
+                    {' '}Choose how to bring your work back in.
+                </p>
+
+                <div className="conflict-options">
+                    <button className="btn btn-primary btn-block" onClick={() => onResolve('merge')}>
+                        Merge both
+                    </button>
+                    <button className="btn btn-block" style={{ background: 'var(--surface)' }} onClick={() => onResolve('mine')}>
+                        Keep my version
+                    </button>
+                    <button className="btn btn-block" style={{ background: 'transparent', border: '1px solid var(--border)' }} onClick={() => onResolve('theirs')}>
+                        Use the server version (discard my changes)
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SyncConflictModal;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Tag, Check } from 'lucide-react';
+import { TAG_COLORS } from '../hooks/useTags';
+
+export const TagChip = ({ tag }) => (
+    <span className="tag-chip" style={{ '--tag-color': tag.color }}>{tag.name}</span>
+);
+
+// Chips for the document's tags plus a dropdown to toggle existing tags or create one
+const TagPicker = ({ tags, selectedIds, onChange, onCreateTag }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newName, setNewName] = useState('');
+    const [newColor, setNewColor] = useState(TAG_COLORS[0]);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClickOutside = (e) => {
+            if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const selectedTags = tags.filter(tag => selectedIds.includes(tag._id));
+
+    const toggleTag = (tagId) => {
+        onChange(selectedIds.includes(tagId) ? selectedIds.filter(id => id !== tagId) : [...selectedIds, tagId]);
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        const tag = await onCreateTag(newName.trim(), newColor);
+        if (tag) {
+            setNewName('');
+            onChange([...selectedIds, tag._id]);
+        }
+    };
+
+    return (
+        <div className="tag-picker" ref={menuRef}>
+            {selectedTags.map(tag => <TagChip key={tag._id} tag={tag} />)}
+            <button className="btn-icon" title="Edit tags" onClick={() => setIsOpen(prev => !prev)}>
+                <Tag size={16} />
+            </button>
+
+            {isOpen && (
+                <div className="export-menu-list glass-card tag-picker-menu">
+                    {tags.map(tag => (
+                        <button key={tag._id} type="button" onClick={() => toggleTag(tag._id)}>
+                            <span className="tag-dot" style={{ background: tag.color }} />
+                            <span style={{ flex: 1 }}>{tag.name}</span>
+                            {selectedIds.includes(tag._id) && <Check size={14} />}
+                        </button>
+                    ))}
+                    <form onSubmit={handleCreate} className="tag-create-form">
+                        <input placeholder="New tag" value={newName} onChange={(e) => setNewName(e.target.value)} />
+                        <div className="tag-color-options">
+                            {TAG_COLORS.map(color => (
+                                <button
+                                    key={color}
+                                    type="button"
+                                    className={`tag-dot ${newColor === color ? 'selected' : ''}`}
+                                    style={{ background: color }}
+                                    onClick={() => setNewColor(color)}
+                                    title={color}
+                                />
+                            ))}
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TagPicker;
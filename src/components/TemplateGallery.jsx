@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { FilePlus, LayoutTemplate, Users, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import api from '../api/axios';
+import { BUILT_IN_TEMPLATES } from '../utils/templates';
+
+// Built-in skeletons plus templates saved from the editor.
+//
+// REST:
+//   GET    /templates      -> [{ _id, name, description, title, content, scope: 'personal'|'team', owner }]
+//   DELETE /templates/:id  (owner only)
+// `onSelect(null)` means a blank document.
+const TemplateGallery = ({ selectedId, onSelect }) => {
+    const { user } = useContext(AuthContext);
+    const [savedTemplates, setSavedTemplates] = useState([]);
+
+    useEffect(() => {
+        const fetchTemplates = async () => {
+            try {
+                const { data } = await api.get('/templates');
+                setSavedTemplates(data);
+            } catch (err) {
+                console.error('Failed to fetch templates', err);
+            }
+        };
+
+        fetchTemplates();
+    }, []);
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await api.delete(`/templates/${template._id}`);
+            setSavedTemplates(prev => prev.filter(t => t._id !== template._id));
+            if (selectedId === template._id) onSelect(null);
+        } catch (err) {
+            console.error('Failed to delete template', err);
+            toast.error(err.response?.data?.message || 'Error deleting template');
+        }
+    };
+
+    // The delete control sits next to the card's button rather than inside it, since buttons can't nest
+    const renderCard = (template, icon) => (
+        <div key={template._id} className="template-card-wrapper">
+            <button
+                type="button"
+                className={`template-card ${selectedId === template._id ? 'selected' : ''}`}
+                onClick={() => onSelect(template)}
+                title={template.description}
+            >
+                {icon}
+                <span className="template-name">{template.name}</span>
+            </button>
+            {template.owner?._id === user?._id && (
+                <button
+                    type="button"
+                    className="template-delete"
+                    title="Delete template"
+                    aria-label={`Delete template ${template.name}`}
+                    onClick={() => handleDelete(template)}
+                >
+                    <X size={12} />
+                </button>
+            )}
+        </div>
+    );
+
+    const sections = [
+        { title: 'Your templates', templates: savedTemplates.filter(t => t.scope !== 'team'), icon: <LayoutTemplate size={18} /> },
+        { title: 'Team templates', templates: savedTemplates.filter(t => t.scope === 'team'), icon: <Users size={18} /> },
+    ];
+
+    return (
+        <div className="template-gallery">
+            <div className="template-grid">
+                <button
+                    type="button"
+                    className={`template-card ${selectedId === null ? 'selected' : ''}`}
+                    onClick={() => onSelect(null)}
+                >
+                    <FilePlus size={18} />
+                    <span className="template-name">Blank</span>
+                </button>
+                {BUILT_IN_TEMPLATES.map(template => renderCard(template, <LayoutTemplate size={18} />))}
+            </div>
+
+            {sections.filter(section => section.templates.length > 0).map(section => (
+                <div key={section.title}>
+                    <div className="version-section-title">{section.title}</div>
+                    <div className="template-grid">
+                        {section.templates.map(template => renderCard(template, section.icon))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TemplateGallery;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, ShieldOff, Smartphone, Mail, Lock, Copy, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import api from '../api/axios';
+import OtpCodeInput from './OtpCodeInput';
+import { downloadBlob } from '../utils/downloadBlob';
+
+const METHOD_LABELS = { totp: 'authenticator app', email: 'email codes' };
+
+// Enroll in and manage two-factor sign-in.
+//
+// REST:
+//   GET  /auth/2fa                          -> { enabled, method: 'email'|'totp'|null, backupCodesRemaining }
+//   POST /auth/2fa/totp/setup               -> { secret, otpauthUrl }
+//   POST /auth/2fa/email/setup              (emails a code to the account address)
+//   POST /auth/2fa/enable { method, code }  -> { backupCodes? } (TOTP only)
+//   POST /auth/2fa/backup-codes { password } -> { backupCodes } (replaces the old ones)
+//   POST /auth/2fa/disable { password }
+const TwoFactorSettings = () => {
+    const { user } = useContext(AuthContext);
+    const [status, setStatus] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [loadAttempt, setLoadAttempt] = useState(0); // Bumped by "Try again"
+    const [setup, setSetup] = useState(null); // { method, secret?, otpauthUrl? } while enrolling
+    const [code, setCode] = useState('');
+    const [backupCodes, setBackupCodes] = useState(null); // Shown once, right after they are issued
+    const [confirming, setConfirming] = useState(null); // 'disable' | 'regenerate'
+    const [password, setPassword] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        const fetchStatus = async () => {
+            setLoadError(null);
+            try {
+                const { data } = await api.get('/auth/2fa');
+                setStatus(data);
+            } catch (err) {
+                console.error('Failed to fetch two-factor status', err);
+                setLoadError(err.response?.data?.message || 'Error loading two-factor settings');
+            }
+        };
+
+        fetchStatus();
+    }, [loadAttempt]);
+
+    const startSetup = async (method) => {
+        setIsLoading(true);
+        try {
+            const { data } = await api.post(`/auth/2fa/${method}/setup`);
+            setSetup({ method, ...data });
+            setCode('');
+            if (method === 'email') toast.success(`Code sent to ${user.email}`);
+        } catch (err) {
+            console.error('Failed to start two-factor setup', err);
+            toast.error(err.response?.data?.message || 'Error starting setup');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        try {
+            const { data } = await api.post('/auth/2fa/enable', { method: setup.method, code });
+            setStatus({ enabled: true, method: setup.method, backupCodesRemaining: data.backupCodes?.length ?? 0 });
+            if (data.backupCodes) setBackupCodes(data.backupCodes);
+            setSetup(null);
+            toast.success('Two-factor sign-in is on');
+        } catch (err) {
+            console.error('Failed to enable two-factor sign-in', err);
+            toast.error(err.response?.data?.message || 'Invalid code');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleConfirm = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        try {
+            if (confirming === 'disable') {
+                await api.post('/auth/2fa/disable', { password });
+                setStatus({ enabled: false, method: null, backupCodesRemaining: 0 });
+                toast.success('Two-factor sign-in is off');
+            } else {
+                const { data } = await api.post('/auth/2fa/backup-codes', { password });
+                setBackupCodes(data.backupCodes);
+                setStatus(prev => ({ ...prev, backupCodesRemaining: data.backupCodes.length }));
+                toast.success('New backup codes generated; the old ones no longer work');
+            }
+            setConfirming(null);
+            setPassword('');
+        } catch (err) {
+            console.error('Failed to update two-factor settings', err);
+            toast.error(err.response?.data?.message || 'Incorrect password');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const copyBackupCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(backupCodes.join('\n'));
+            toast.success('Backup codes copied');
+        } catch {
+            toast.error('Could not copy the codes');
+        }
+    };
+
+    const downloadBackupCodes = () => {
+        const blob = new Blob([`CollabDocs backup codes for ${user.email}\n\n${backupCodes.join('\n')}\n`], { type: 'text/plain' });
+        downloadBlob(blob, 'collabdocs-backup-codes.txt');
+    };
+
+    if (loadError) {
+        return (
+            <div className="auth-error">
+                {loadError}{' '}
+                <button className="btn" style={{ background: 'transparent', color: 'inherit', textDecoration: 'underline' }} onClick={() => setLoadAttempt(n => n + 1)}>
+                    Try again
+                </button>
+            </div>
+        );
+    }
+    if (!status) return <div className="loader">Loading...</div>;
+
+    if (backupCodes) {
+        return (
+            <div className="two-factor-panel">
+                <p className="settings-hint">
+                    Save these backup codes somewhere safe. Each one signs you in once if you lose access to your authenticator app. They won't be shown again.
+                </p>
+                <ul className="backup-codes">
+                    {backupCodes.map(backupCode => <li key={backupCode}>{backupCode}</li>)}
+                </ul>
+                <div className="settings-actions">
+                    <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={copyBackupCodes}>
+                        <Copy size={16} style={{ marginRight: '0.4rem' }} /> Copy
+                    </button>
+                    <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={downloadBackupCodes}>
+                        <Download size={16} style={{ marginRight: '0.4rem' }} /> Download
+                    </button>
+                    <button className="btn btn-primary" onClick={() => setBackupCodes(null)}>I've saved them</button>
+                </div>
+            </div>
+        );
+    }
+
+    if (setup) {
+        return (
+            <form onSubmit={handleEnable} className="two-factor-panel auth-form">
+                {setup.method === 'totp' ? (
+                    <>
+                        <p className="settings-hint">Scan this QR code with an authenticator app, then enter the 6-digit code it shows.</p>
+                        <div className="totp-qr">
+                            <QRCodeSVG value={setup.otpauthUrl} size={168} />
+                        </div>
+                        <p className="settings-hint">
+                            Can't scan it? Enter this key instead: <code className="totp-secret">{setup.secret}</code>
+                        </p>
+                    </>
+                ) : (
+                    <p className="settings-hint">Enter the 6-digit code we sent to {user.email}.</p>
+                )}
+                <OtpCodeInput value={code} onChange={setCode} placeholder="6-digit code" />
+                <div className="settings-actions">
+                    <button type="button" className="btn" style={{ background: 'transparent' }} onClick={() => setSetup(null)} disabled={isLoading}>
+                        Cancel
+                    </button>
+                    <button type="submit" className="btn btn-primary" disabled={isLoading || code.length !== 6}>
+                        {isLoading ? 'Verifying...' : 'Turn On'}
+                    </button>
+                </div>
+            </form>
+        );
+    }
+
+    if (confirming) {
+        return (
+            <form onSubmit={handleConfirm} className="two-factor-panel auth-form">
+                <p className="settings-hint">
+                    {confirming === 'disable'
+                        ? 'Enter your password to turn off two-factor sign-in.'
+                        : 'Enter your password to replace your backup codes. The current ones stop working.'}
+                </p>
+                <div className="input-group">
+                    <Lock className="input-icon" />
+                    <input
+                        type="password"
+                        placeholder="Current password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                        autoComplete="current-password"
+                        autoFocus
+                    />
+                </div>
+                <div className="settings-actions">
+                    <button type="button" className="btn" style={{ background: 'transparent' }} onClick={() => { setConfirming(null); setPassword(''); }} disabled={isLoading}>
+                        Cancel
+                    </button>
+                    <button type="submit" className={`btn ${confirming === 'disable' ? 'btn-danger' : 'btn-primary'}`} disabled={isLoading || !password}>
+                        {confirming === 'disable' ? 'Turn Off' : 'Generate Codes'}
+                    </button>
+                </div>
+            </form>
+        );
+    }
+
+    if (status.enabled) {
+        return (
+            <div className="two-factor-panel">
+                <p className="two-factor-state on">
+                    <ShieldCheck size={18} /> Two-factor sign-in is on, using {METHOD_LABELS[status.method]}.
+                </p>
+                {status.method === 'totp' && (
+                    <p className="settings-hint">{status.backupCodesRemaining} backup codes left.</p>
+                )}
+                <div className="settings-actions">
+                    {status.method === 'totp' && (
+                        <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={() => setConfirming('regenerate')}>
+                            New Backup Codes
+                        </button>
+                    )}
+                    <button className="btn btn-danger" onClick={() => setConfirming('disable')}>Turn Off</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="two-factor-panel">
+            <p className="two-factor-state">
+                <ShieldOff size={18} /> Two-factor sign-in is off. Add a second step after your password to protect client documents.
+            </p>
+            <div className="settings-actions">
+                <button className="btn btn-primary" onClick={() => startSetup('totp')} disabled={isLoading}>
+                    <Smartphone size={16} style={{ marginRight: '0.4rem' }} /> Use an Authenticator App
+                </button>
+                <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={() => startSetup('email')} disabled={isLoading}>
+                    <Mail size={16} style={{ marginRight: '0.4rem' }} /> Use Email Codes
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,32 @@
+const UnsavedChangesModal = ({ isSaving, onStay, onSaveAndLeave, onLeave }) => {
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content">
+                <div className="modal-header">
+                    <h2>Unsaved Changes</h2>
+                    <button className="btn-icon" onClick={onStay}>
+                        <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                    </button>
+                </div>
+
+                <p style={{ color: 'var(--text-muted)', lineHeight: 1.6 }}>
+                    Some of your edits have not been saved yet. If you leave now they may be lost.
+                </p>
+
+                <div className="modal-actions">
+                    <button type="button" className="btn" onClick={onLeave} style={{ background: 'transparent' }} disabled={isSaving}>
+                        Leave anyway
+                    </button>
+                    <button type="button" className="btn" onClick={onStay} style={{ background: 'var(--surface)' }} disabled={isSaving}>
+                        Stay
+                    </button>
+                    <button type="button" className="btn btn-primary" onClick={onSaveAndLeave} disabled={isSaving}>
+                        {isSaving ? 'Saving...' : 'Save & Leave'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UnsavedChangesModal;
@@ -0,0 +1,16 @@
+import { colorForUser } from '../hooks/usePresence';
+
+const initialsOf = (name = '') => name.trim().slice(0, 2).toUpperCase() || '?';
+
+// Uploaded picture when the user has one, otherwise initials on their presence color
+const UserAvatar = ({ user, className = '', title }) => (
+    <div
+        className={`user-avatar ${className}`}
+        style={{ background: colorForUser(user?._id) }}
+        title={title ?? user?.username}
+    >
+        {user?.avatarUrl ? <img src={user.avatarUrl} alt="" /> : initialsOf(user?.username)}
+    </div>
+);
+
+export default UserAvatar;
@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import { History, ChevronLeft, ChevronRight, Eye, GitCompare, ArrowLeft, Tag, Pin, PinOff, Search, Check, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+import { renderSideBySideDiff, toEditorHtml } from '../utils/richTextDiff';
+import ExportMenu from './ExportMenu';
+
+const CURRENT = 'current';
+
+const EMPTY_FILTERS = { savedBy: '', from: '', to: '', label: '' };
+
+const formatVersionDate = (date) => new Date(date).toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// `authors` is everyone who can have saved a version ({ _id, username }), used for the author filter
+const VersionHistoryModal = ({ documentId, documentTitle, authors, currentContent, isReadOnly, isRestoring, onRestore, onClose }) => {
+    const [versions, setVersions] = useState([]);
+    const [versionPage, setVersionPage] = useState(1);
+    const [versionTotalPages, setVersionTotalPages] = useState(1);
+    const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+
+    // Filters & named versions
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [labelSearch, setLabelSearch] = useState('');
+    const [pinnedVersions, setPinnedVersions] = useState([]);
+    const [editingLabel, setEditingLabel] = useState(null); // { id, value }
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // Up to two versions picked for comparison, oldest first once compared
+    const [selected, setSelected] = useState([]);
+    // { mode: 'preview', version, html } | { mode: 'diff', before, after, beforeHtml, afterHtml, hasChanges }
+    const [view, setView] = useState(null);
+    const [isLoadingView, setIsLoadingView] = useState(false);
+
+    useEffect(() => {
+        const fetchVersions = async () => {
+            setIsLoadingVersions(true);
+            try {
+                const params = new URLSearchParams({ page: versionPage, limit: 5 });
+                Object.entries(filters).forEach(([key, value]) => {
+                    if (value) params.set(key, value);
+                });
+                const { data } = await api.get(`/documents/${documentId}/versions?${params}`);
+                setVersions(data.versions);
+                setVersionTotalPages(data.totalPages);
+            } catch (err) {
+                console.error('Failed to fetch versions', err);
+                toast.error('Failed to load version history');
+            } finally {
+                setIsLoadingVersions(false);
+            }
+        };
+
+        fetchVersions();
+    }, [documentId, versionPage, filters, reloadKey]);
+
+    useEffect(() => {
+        const fetchPinned = async () => {
+            try {
+                const { data } = await api.get(`/documents/${documentId}/versions?pinned=true&limit=50`);
+                setPinnedVersions(data.versions);
+            } catch (err) {
+                console.error('Failed to fetch pinned versions', err);
+            }
+        };
+
+        fetchPinned();
+    }, [documentId, reloadKey]);
+
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    const updateFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setVersionPage(1);
+    };
+
+    const handleLabelSearch = (e) => {
+        e.preventDefault();
+        updateFilter('label', labelSearch.trim());
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setLabelSearch('');
+        setVersionPage(1);
+    };
+
+    const updateVersion = async (version, changes, successMessage) => {
+        try {
+            await api.patch(`/documents/${documentId}/versions/${version._id}`, changes);
+            toast.success(successMessage);
+            setReloadKey(key => key + 1);
+            return true;
+        } catch (err) {
+            console.error('Failed to update version', err);
+            toast.error(err.response?.data?.message || 'Failed to update version');
+            return false;
+        }
+    };
+
+    const handleSaveLabel = async (e, version) => {
+        e.preventDefault();
+        const label = editingLabel.value.trim();
+        // Pins only make sense for named versions, so clearing the name unpins too
+        const changes = label ? { label } : { label: '', pinned: false };
+        if (await updateVersion(version, changes, label ? `Version named "${label}"` : 'Version name removed')) {
+            setEditingLabel(null);
+        }
+    };
+
+    const handleTogglePin = (version) => {
+        updateVersion(version, { pinned: !version.pinned }, version.pinned ? 'Version unpinned' : 'Version pinned');
+    };
+
+    // List entries may omit the snapshot body, so fetch it on demand
+    const loadContent = async (version) => {
+        if (version === CURRENT) return currentContent;
+        if (typeof version.content === 'string') return version.content;
+        const { data } = await api.get(`/documents/${documentId}/versions/${version._id}`);
+        return data.content || '';
+    };
+
+    const describe = (version) => version === CURRENT
+        ? 'Current document'
+        : `${version.label ? `${version.label} · ` : ''}${formatVersionDate(version.createdAt)} · ${version.savedBy?.username || 'Unknown'}`;
+
+    const toggleSelected = (version) => {
+        setSelected(prev => prev.some(v => v._id === version._id)
+            ? prev.filter(v => v._id !== version._id)
+            : [...prev, version].slice(-2));
+    };
+
+    const openPreview = async (version) => {
+        setIsLoadingView(true);
+        try {
+            const html = toEditorHtml(await loadContent(version));
+            setView({ mode: 'preview', version, html });
+        } catch (err) {
+            console.error('Failed to load version', err);
+            toast.error('Failed to load this version');
+        } finally {
+            setIsLoadingView(false);
+        }
+    };
+
+    const openDiff = async (first, second) => {
+        // Always show the older snapshot on the left; the current document is the newest
+        const age = (v) => (v === CURRENT ? Infinity : new Date(v.createdAt).getTime());
+        const [before, after] = age(first) <= age(second) ? [first, second] : [second, first];
+
+        setIsLoadingView(true);
+        try {
+            const [beforeContent, afterContent] = await Promise.all([loadContent(before), loadContent(after)]);
+            setView({ mode: 'diff', before, after, ...renderSideBySideDiff(beforeContent, afterContent) });
+        } catch (err) {
+            console.error('Failed to compare versions', err);
+            toast.error('Failed to compare versions');
+        } finally {
+            setIsLoadingView(false);
+        }
+    };
+
+    const handleCompare = () => {
+        if (selected.length === 2) {
+            openDiff(selected[0], selected[1]);
+        } else if (selected.length === 1) {
+            openDiff(selected[0], CURRENT);
+        }
+    };
+
+    // Only the unfiltered first page is guaranteed to start with the newest snapshot
+    const isLatest = (version) => !hasFilters && versionPage === 1 && versions[0]?._id === version._id;
+
+    const renderVersionRow = (ver) => {
+        const latest = isLatest(ver);
+        const isSelected = selected.some(v => v._id === ver._id);
+        return (
+            <div
+                key={ver._id}
+                className="glass-card version-item"
+                style={{
+                    padding: '1.25rem',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '1rem',
+                    borderLeft: latest ? '3px solid var(--primary)' : '1px solid var(--border)',
+                    background: latest ? 'rgba(56, 189, 248, 0.05)' : 'rgba(30, 41, 59, 0.5)'
+                }}
+            >
+                <div style={{ flex: 1, minWidth: 0 }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.85rem', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={isSelected}
+                            onChange={() => toggleSelected(ver)}
+                            title="Select to compare"
+                        />
+                        <div>
+                            <div style={{ fontWeight: '600', marginBottom: '0.35rem', color: latest ? 'var(--primary)' : 'var(--text-main)', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                {formatVersionDate(ver.createdAt)}
+                                {latest && <span className="role-badge owner" style={{ fontSize: '0.7rem', padding: '0.1rem 0.4rem' }}>Latest</span>}
+                            </div>
+                            <div style={{ fontSize: '0.85rem', color: 'var(--text-muted)', display: 'flex', alignItems: 'center' }}>
+                                <div style={{ width: '6px', height: '6px', borderRadius: '50%', background: 'var(--secondary)', display: 'inline-block', marginRight: '6px' }}></div>
+                                Saved by: <strong style={{ color: 'var(--text-light)', marginLeft: '4px' }}>{ver.savedBy?.username || 'Unknown'}</strong>
+                            </div>
+                        </div>
+                    </label>
+
+                    {editingLabel?.id === ver._id ? (
+                        <form className="version-label-form" onSubmit={(e) => handleSaveLabel(e, ver)}>
+                            <input
+                                type="text"
+                                placeholder='Name this version, e.g. "Sent to client v2"'
+                                value={editingLabel.value}
+                                onChange={(e) => setEditingLabel({ id: ver._id, value: e.target.value })}
+                                maxLength={100}
+                                autoFocus
+                            />
+                            <button type="submit" className="btn-icon" title="Save name"><Check size={16} /></button>
+                            <button type="button" className="btn-icon" title="Cancel" onClick={() => setEditingLabel(null)}><X size={16} /></button>
+                        </form>
+                    ) : ver.label && (
+                        <div className="version-label">
+                            {ver.pinned && <Pin size={12} />}
+                            {ver.label}
+                        </div>
+                    )}
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn-icon" onClick={() => openPreview(ver)} title="Preview this version">
+                        <Eye size={18} />
+                    </button>
+                    {!isReadOnly && (
+                        <button className="btn-icon" onClick={() => setEditingLabel({ id: ver._id, value: ver.label || '' })} title={ver.label ? 'Rename version' : 'Name this version'}>
+                            <Tag size={18} />
+                        </button>
+                    )}
+                    {!isReadOnly && ver.label && (
+                        <button className="btn-icon" onClick={() => handleTogglePin(ver)} title={ver.pinned ? 'Unpin version' : 'Pin version'}>
+                            {ver.pinned ? <PinOff size={18} /> : <Pin size={18} />}
+                        </button>
+                    )}
+                    {!isReadOnly && (
+                        <button
+                            className="btn btn-primary"
+                            style={{ padding: '0.5rem 1rem', fontSize: '0.85rem', opacity: latest ? 0.3 : 1 }}
+                            onClick={() => onRestore(ver._id)}
+                            disabled={isRestoring || latest}
+                            title={latest ? "This is the current version" : "Restore this version"}
+                        >
+                            {isRestoring ? 'Restoring...' : 'Restore'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const renderBody = () => {
+        if (isLoadingView) {
+            return (
+                <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
+                    <div className="loader" style={{ margin: '0 auto 1rem auto' }}></div>
+                    Loading...
+                </div>
+            );
+        }
+
+        if (view?.mode === 'preview') {
+            return (
+                <>
+                    <div className="version-view-toolbar">
+                        <button className="btn" style={{ background: 'transparent' }} onClick={() => setView(null)}>
+                            <ArrowLeft size={16} style={{ marginRight: '0.5rem' }} /> Back
+                        </button>
+                        <span className="version-view-label">{describe(view.version)}</span>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <ExportMenu
+                                title={`${documentTitle} (${formatVersionDate(view.version.createdAt)})`}
+                                getHtml={() => view.html}
+                                label="Export"
+                            />
+                            <button className="btn" style={{ background: 'var(--surface)' }} onClick={() => openDiff(view.version, CURRENT)}>
+                                <GitCompare size={16} style={{ marginRight: '0.5rem' }} /> Compare with current
+                            </button>
+                            {!isReadOnly && !isLatest(view.version) && (
+                                <button className="btn btn-primary" onClick={() => onRestore(view.version._id)} disabled={isRestoring}>
+                                    {isRestoring ? 'Restoring...' : 'Restore this version'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <div className="version-preview ql-snow custom-scrollbar">
+                        <div className="ql-editor" dangerouslySetInnerHTML={{ __html: view.html }} />
+                    </div>
+                </>
+            );
+        }
+
+        if (view?.mode === 'diff') {
+            return (
+                <>
+                    <div className="version-view-toolbar">
+                        <button className="btn" style={{ background: 'transparent' }} onClick={() => setView(null)}>
+                            <ArrowLeft size={16} style={{ marginRight: '0.5rem' }} /> Back
+                        </button>
+                        <span className="version-view-label">
+                            <span className="diff-legend removed">Removed</span>
+                            <span className="diff-legend added">Added</span>
+                        </span>
+                    </div>
+                    {!view.hasChanges && (
+                        <div style={{ color: 'var(--text-muted)', marginBottom: '1rem' }}>These versions are identical.</div>
+                    )}
+                    <div className="version-diff">
+                        {[[view.before, view.beforeHtml], [view.after, view.afterHtml]].map(([version, html], i) => (
+                            <div key={i} className="version-diff-pane">
+                                <div className="version-diff-heading">{describe(version)}</div>
+                                <div className="version-preview ql-snow custom-scrollbar">
+                                    <div className="ql-editor" dangerouslySetInnerHTML={{ __html: html }} />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            );
+        }
+
+        return (
+            <>
+                <div className="version-filters">
+                    <form onSubmit={handleLabelSearch} className="version-filter-search">
+                        <Search size={14} />
+                        <input
+                            type="text"
+                            placeholder="Jump to version by name"
+                            value={labelSearch}
+                            onChange={(e) => setLabelSearch(e.target.value)}
+                        />
+                    </form>
+                    <select value={filters.savedBy} onChange={(e) => updateFilter('savedBy', e.target.value)} title="Filter by author">
+                        <option value="">All authors</option>
+                        {authors.map(author => (
+                            <option key={author._id} value={author._id}>{author.username}</option>
+                        ))}
+                    </select>
+                    <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilter('from', e.target.value)} title="Saved on or after" />
+                    <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilter('to', e.target.value)} title="Saved on or before" />
+                    {hasFilters && (
+                        <button type="button" className="btn-icon" onClick={clearFilters} title="Clear filters">
+                            <X size={16} />
+                        </button>
+                    )}
+                </div>
+
+                <div style={{ maxHeight: '400px', overflowY: 'auto', paddingRight: '0.5rem' }} className="custom-scrollbar">
+                    {!hasFilters && pinnedVersions.length > 0 && (
+                        <div style={{ marginBottom: '1.5rem' }}>
+                            <div className="version-section-title"><Pin size={14} /> Pinned</div>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                                {pinnedVersions.map(renderVersionRow)}
+                            </div>
+                            <div className="version-section-title" style={{ marginTop: '1.5rem' }}><History size={14} /> All versions</div>
+                        </div>
+                    )}
+
+                    {isLoadingVersions ? (
+                        <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
+                            <div className="loader" style={{ margin: '0 auto 1rem auto' }}></div>
+                            Loading version history...
+                        </div>
+                    ) : versions.length === 0 && hasFilters ? (
+                        <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
+                            No versions match these filters.
+                        </div>
+                    ) : versions.length === 0 ? (
+                        <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
+                            <History size={48} style={{ opacity: 0.2, margin: '0 auto 1rem auto', display: 'block' }} />
+                            No version history found yet.<br />
+                            <span style={{ fontSize: '0.85rem' }}>Save the document to create your first version snapshot!</span>
+                        </div>
+                    ) : (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                            {versions.map(renderVersionRow)}
+                        </div>
+                    )}
+                </div>
+
+                {versions.length > 0 && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1rem', color: 'var(--text-muted)', fontSize: '0.85rem' }}>
+                        <span>
+                            {selected.length === 0 && 'Select one version to compare with the current document, or two to compare them.'}
+                            {selected.length === 1 && '1 version selected'}
+                            {selected.length === 2 && '2 versions selected'}
+                        </span>
+                        <button className="btn" style={{ background: 'var(--surface)' }} onClick={handleCompare} disabled={selected.length === 0}>
+                            <GitCompare size={16} style={{ marginRight: '0.5rem' }} />
+                            {selected.length === 2 ? 'Compare selected' : 'Compare with current'}
+                        </button>
+                    </div>
+                )}
+
+                {versionTotalPages > 1 && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem', paddingTop: '1rem', borderTop: '1px solid var(--border)' }}>
+                        <button
+                            className="btn btn-icon"
+                            disabled={versionPage === 1 || isLoadingVersions}
+                            onClick={() => setVersionPage(versionPage - 1)}
+                        >
+                            <ChevronLeft size={20} />
+                        </button>
+                        <span style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                            Page {versionPage} of {versionTotalPages}
+                        </span>
+                        <button
+                            className="btn btn-icon"
+                            disabled={versionPage === versionTotalPages || isLoadingVersions}
+                            onClick={() => setVersionPage(versionPage + 1)}
+                        >
+                            <ChevronRight size={20} />
+                        </button>
+                    </div>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="glass-card modal-content" style={{ maxWidth: view?.mode === 'diff' ? '1100px' : view ? '850px' : '680px' }}>
+                <div className="modal-header">
+                    <h2>Version History</h2>
+                    <button className="btn-icon" onClick={onClose}>
+                        <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
+                    </button>
+                </div>
+
+                {renderBody()}
+            </div>
+        </div>
+    );
+};
+
+export default VersionHistoryModal;
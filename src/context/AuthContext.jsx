@@ -1,5 +1,6 @@
 import React, { createContext, useState, useEffect } from 'react';
-import api from '../api/axios';
+import toast from 'react-hot-toast';
+import api, { setTokens, clearTokens, onSessionExpired } from '../api/axios';
 
 export const AuthContext = createContext();
 
@@ -7,6 +8,40 @@ export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
 
+    // The API client calls this once a 401 can't be fixed by refreshing; ProtectedRoute then
+    // sends the user to /login and back to the page they were on afterwards
+    useEffect(() => {
+        onSessionExpired(() => {
+            setUser(null);
+            toast.error('Your session has expired. Please sign in again.', { id: 'session-expired' });
+        });
+        return () => onSessionExpired(() => {});
+    }, []);
+
+    // Keep every tab on the same session. `storage` only fires in the other tabs. Any new
+    // token may belong to a different account (signed out and back in elsewhere), so the
+    // profile is loaded again; a refresh that kept the same account leaves `user` alone.
+    useEffect(() => {
+        const handleStorage = async (e) => {
+            if (e.key !== 'token' && e.key !== null) return; // null: storage was cleared
+            if (!e.newValue) {
+                setUser(null);
+                toast('You were signed out in another tab', { id: 'signed-out-elsewhere' });
+                return;
+            }
+
+            try {
+                const { data } = await api.get('/auth/profile');
+                setUser(prev => prev?._id === data._id ? prev : data);
+            } catch (error) {
+                console.error('Failed to load session from another tab', error);
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
     useEffect(() => {
         const checkUserLoggedIn = async () => {
             const token = localStorage.getItem('token');
@@ -16,7 +51,7 @@ export const AuthProvider = ({ children }) => {
                     setUser(data);
                 } catch (error) {
                     console.error('Session expired or invalid token', error);
-                    localStorage.removeItem('token');
+                    clearTokens();
                 }
             }
             setLoading(false);
@@ -25,27 +60,50 @@ export const AuthProvider = ({ children }) => {
         checkUserLoggedIn();
     }, []);
 
+    const startSession = (data) => {
+        setTokens(data);
+        setUser({ _id: data._id, username: data.username, email: data.email, role: data.role, avatarUrl: data.avatarUrl });
+    };
+
+    // Accounts with two-factor sign-in get a challenge instead of a session:
+    // { twoFactorRequired: true, challengeToken, method: 'email' | 'totp', resendIn? }
     const login = async (email, password) => {
         const { data } = await api.post('/auth/login', { email, password });
-        localStorage.setItem('token', data.token);
-        setUser({ _id: data._id, username: data.username, email: data.email, role: data.role });
+        if (!data.twoFactorRequired) startSession(data);
+        return data;
+    };
+
+    // POST /auth/2fa/verify { challengeToken, code } or { challengeToken, backupCode } -> same as /auth/login
+    const verifyTwoFactor = async (challengeToken, { code, backupCode }) => {
+        const { data } = await api.post('/auth/2fa/verify', { challengeToken, code, backupCode });
+        startSession(data);
         return data;
     };
 
     const register = async (username, email, password) => {
         const { data } = await api.post('/auth/register', { username, email, password });
-        localStorage.setItem('token', data.token);
-        setUser({ _id: data._id, username: data.username, email: data.email, role: data.role });
+        startSession(data);
         return data;
     };
 
-    const logout = () => {
-        localStorage.removeItem('token');
+    // Applies profile changes saved elsewhere (e.g. the settings page) so every consumer re-renders
+    const updateUser = (changes) => {
+        setUser(prev => ({ ...prev, ...changes }));
+    };
+
+    // POST /auth/logout { refreshToken } revokes the refresh token; we sign out locally either way.
+    // `alreadyRevoked` skips the request when the server has ended the session some other way.
+    const logout = ({ alreadyRevoked = false } = {}) => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken && !alreadyRevoked) {
+            api.post('/auth/logout', { refreshToken }).catch(err => console.error('Failed to revoke session', err));
+        }
+        clearTokens();
         setUser(null);
     };
 
     return (
-        <AuthContext.Provider value={{ user, login, register, logout, loading }}>
+        <AuthContext.Provider value={{ user, login, verifyTwoFactor, register, updateUser, logout, loading }}>
             {!loading && children}
         </AuthContext.Provider>
     );
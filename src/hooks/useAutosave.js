@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Saves after `delayMs` without typing, but never lets edits sit unsaved for more
+// than `maxWaitMs` while someone types continuously.
+//
+// `save({ autosave })` persists the latest content and returns a promise of
+// `{ ok, ... }`; anything but `ok` keeps the changes marked as unsaved. Saving
+// resumes as soon as `enabled` is true again (e.g. after reconnecting or once a
+// conflict is resolved). `saveNow` resolves to the same result.
+export const useAutosave = ({ enabled, save, delayMs = 2000, maxWaitMs = 30000 }) => {
+    const [status, setStatus] = useState('saved'); // 'saved' | 'saving' | 'unsaved'
+
+    const saveRef = useRef(save);
+    const timerRef = useRef(null);
+    const dirtySinceRef = useRef(null); // When the oldest unsaved edit was made
+    const editCountRef = useRef(0);
+
+    useEffect(() => {
+        saveRef.current = save;
+    });
+
+    const flush = useCallback(async ({ autosave = false } = {}) => {
+        clearTimeout(timerRef.current);
+        timerRef.current = null;
+
+        if (!dirtySinceRef.current && autosave) return { ok: true };
+
+        const editCountAtStart = editCountRef.current;
+        setStatus('saving');
+        const result = await saveRef.current({ autosave });
+
+        // Edits typed while the save was in flight still need saving
+        if (result.ok && editCountRef.current === editCountAtStart) {
+            dirtySinceRef.current = null;
+            setStatus('saved');
+        } else {
+            setStatus(dirtySinceRef.current ? 'unsaved' : 'saved');
+        }
+        return result;
+    }, []);
+
+    const schedule = useCallback((delay) => {
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(() => flush({ autosave: true }), delay);
+    }, [flush]);
+
+    const markDirty = useCallback(() => {
+        editCountRef.current += 1;
+        if (!dirtySinceRef.current) dirtySinceRef.current = Date.now();
+        setStatus('unsaved');
+
+        const waited = Date.now() - dirtySinceRef.current;
+        schedule(Math.min(delayMs, Math.max(0, maxWaitMs - waited)));
+    }, [schedule, delayMs, maxWaitMs]);
+
+    // Catch up on anything that could not be saved while disabled
+    useEffect(() => {
+        if (enabled && dirtySinceRef.current && !timerRef.current) {
+            schedule(0);
+        }
+    }, [enabled, schedule]);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+
+    return { status, isDirty: status !== 'saved', markDirty, saveNow: flush };
+};
@@ -0,0 +1,144 @@
+import { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+
+// Shifts a thread's anchor through an edit: text typed right before or right
+// after the range stays outside it, text deleted inside it shrinks it.
+const transformAnchor = (anchor, delta) => {
+    const start = delta.transformPosition(anchor.index);
+    const end = delta.transformPosition(anchor.index + anchor.length, true);
+    return { index: start, length: Math.max(0, end - start) };
+};
+
+// Comment threads anchored to text ranges in the editor.
+//
+// REST:
+//   GET   /documents/:id/comments                       -> [thread]
+//   POST  /documents/:id/comments { index, length, quote, body } -> thread
+//   POST  /documents/:id/comments/:threadId/replies { body }      -> thread
+//   PATCH /documents/:id/comments/:threadId { resolved }          -> thread
+//   PATCH /documents/:id/comments/anchors { revision, anchors: [{ _id, index, length }] }
+// Socket (document room):
+//   on    'comment-thread' thread  (created, replied to, resolved or reopened by anyone)
+//
+// A thread is { _id, anchor: { index, length, revision }, quote, resolved, comments: [{ _id, author, body, createdAt }] },
+// where `revision` is the document revision the stored anchor was computed against.
+// Anchors are shifted locally on every text change and written back through `syncAnchors`.
+// Threads are refetched whenever `resyncKey` changes, i.e. after missing events while disconnected;
+// a refetched anchor only replaces ours if it is at least as recent as the revision we have
+// seen (`getRevision()`), since ours already followed every edit up to there.
+export const useComments = ({ socket, enabled, documentId, quillRef, resyncKey, getRevision }) => {
+    const [threads, setThreads] = useState([]);
+    const threadsRef = useRef(threads);
+    const anchorsMovedRef = useRef(false);
+    const getRevisionRef = useRef(getRevision);
+
+    useEffect(() => {
+        threadsRef.current = threads;
+        getRevisionRef.current = getRevision;
+    });
+
+    useEffect(() => {
+        const fetchThreads = async () => {
+            try {
+                const { data } = await api.get(`/documents/${documentId}/comments`);
+                const localRevision = getRevisionRef.current?.() ?? null;
+                const next = data.map((incoming) => {
+                    const existing = threadsRef.current.find(thread => thread._id === incoming._id);
+                    const isServerCurrent = localRevision === null || (incoming.anchor?.revision ?? -1) >= localRevision;
+                    if (!existing || isServerCurrent) return incoming;
+                    anchorsMovedRef.current = true; // Ours is newer; store it with the next save
+                    return { ...incoming, anchor: existing.anchor };
+                });
+                setThreads(next);
+            } catch (err) {
+                console.error('Failed to fetch comments', err);
+            }
+        };
+
+        fetchThreads();
+    }, [documentId, resyncKey]);
+
+    // Keep anchors glued to their text while it is edited, locally or remotely.
+    // Listens to 'editor-change' rather than 'text-change': useSuggestions applies its rewrite
+    // from an 'editor-change' listener, and its nested 'text-change' would reach us before
+    // the edit it rewrites. 'editor-change' delivers both in the order they were applied.
+    useEffect(() => {
+        const editor = quillRef.current?.getEditor();
+        if (!enabled || !editor) return;
+
+        const handleEditorChange = (eventName, delta) => {
+            if (eventName !== 'text-change' || threadsRef.current.length === 0) return;
+            anchorsMovedRef.current = true;
+            setThreads(prev => prev.map(thread => ({ ...thread, anchor: transformAnchor(thread.anchor, delta) })));
+        };
+
+        editor.on('editor-change', handleEditorChange);
+        return () => editor.off('editor-change', handleEditorChange);
+    }, [enabled, quillRef]);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        // Our local anchor is more current than the one the server last stored
+        const handleThread = (incoming) => {
+            setThreads(prev => {
+                const existing = prev.find(thread => thread._id === incoming._id);
+                if (!existing) return [...prev, incoming];
+                return prev.map(thread => thread._id === incoming._id ? { ...incoming, anchor: existing.anchor } : thread);
+            });
+        };
+
+        socket.on('comment-thread', handleThread);
+        return () => socket.off('comment-thread', handleThread);
+    }, [socket]);
+
+    const upsertThread = (updated) => {
+        setThreads(prev => prev.some(thread => thread._id === updated._id)
+            ? prev.map(thread => thread._id === updated._id ? { ...updated, anchor: thread.anchor } : thread)
+            : [...prev, updated]);
+    };
+
+    // Each action resolves to whether it went through, so forms know when to clear
+    const runThreadRequest = async (request, errorMessage) => {
+        try {
+            const { data } = await request();
+            upsertThread(data);
+            return true;
+        } catch (err) {
+            console.error(errorMessage, err);
+            toast.error(err.response?.data?.message || errorMessage);
+            return false;
+        }
+    };
+
+    const addThread = (range, quote, body) => runThreadRequest(
+        () => api.post(`/documents/${documentId}/comments`, { index: range.index, length: range.length, quote, body }),
+        'Error adding comment'
+    );
+
+    const reply = (threadId, body) => runThreadRequest(
+        () => api.post(`/documents/${documentId}/comments/${threadId}/replies`, { body }),
+        'Error posting reply'
+    );
+
+    const setResolved = (threadId, resolved) => runThreadRequest(
+        () => api.patch(`/documents/${documentId}/comments/${threadId}`, { resolved }),
+        resolved ? 'Error resolving thread' : 'Error reopening thread'
+    );
+
+    // Called after a successful save so stored anchors match the stored content at `revision`
+    const syncAnchors = async (revision) => {
+        if (!anchorsMovedRef.current) return;
+        anchorsMovedRef.current = false;
+        try {
+            const anchors = threadsRef.current.map(({ _id, anchor }) => ({ _id, index: anchor.index, length: anchor.length }));
+            await api.patch(`/documents/${documentId}/comments/anchors`, { revision, anchors });
+        } catch (err) {
+            anchorsMovedRef.current = true;
+            console.error('Failed to update comment anchors', err);
+        }
+    };
+
+    return { threads, addThread, reply, setResolved, syncAnchors };
+};
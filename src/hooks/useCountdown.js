@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+// Whole seconds left until `deadline` (a timestamp in ms), ticking once a second; 0 without one
+export const useCountdown = (deadline) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!deadline) return;
+        const tick = () => {
+            setNow(Date.now());
+            if (Date.now() >= deadline) clearInterval(timer);
+        };
+        // Catch up right away; `now` may date from long before this deadline was set
+        const catchUp = setTimeout(tick, 0);
+        const timer = setInterval(tick, 1000);
+        return () => {
+            clearTimeout(catchUp);
+            clearInterval(timer);
+        };
+    }, [deadline]);
+
+    return deadline ? Math.max(0, Math.ceil((deadline - now) / 1000)) : 0;
+};
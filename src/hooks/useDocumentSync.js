@@ -0,0 +1,99 @@
+import { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { createDocumentSync } from '../utils/documentSync';
+
+// React wrapper around createDocumentSync for the editor page.
+// The connection lives for as long as the document is open; the latest content
+// is saved on the way out if the user is allowed to edit, this tab is the one
+// that saves the document (`isSaveLeader`, see useTabLeader) and it changed since
+// the last confirmed save.
+// `onRoleChange(role)` and `onAccessError({ code, message })` relay what the server
+// says about our permissions (see createDocumentSync).
+const INITIAL_CONNECTION = { status: 'connecting', rejoining: false };
+
+export const useDocumentSync = ({
+    documentId, document, user, quillRef, content, isReadOnly, isSaveLeader = true, onRoleChange, onAccessError,
+}) => {
+    const [sync, setSync] = useState(null);
+    const [connection, setConnection] = useState(INITIAL_CONNECTION); // See createDocumentSync for the states
+    const [resyncCount, setResyncCount] = useState(0); // Bumped whenever the room is rejoined after a drop
+    const [isLive, setIsLive] = useState(false); // Joined the room with a running OT session
+    const [pendingCount, setPendingCount] = useState(0);
+    const [syncConflict, setSyncConflict] = useState(null);
+
+    // Latest values for the unmount save and callbacks, without reconnecting whenever they change
+    const contentRef = useRef(content);
+    const isReadOnlyRef = useRef(isReadOnly);
+    const isSaveLeaderRef = useRef(isSaveLeader);
+    const callbacksRef = useRef({ onRoleChange, onAccessError });
+    const savedContentRef = useRef(null); // `content` as of the last save the server confirmed
+    useEffect(() => {
+        contentRef.current = content;
+        isReadOnlyRef.current = isReadOnly;
+        isSaveLeaderRef.current = isSaveLeader;
+        callbacksRef.current = { onRoleChange, onAccessError };
+    });
+
+    // The revision only matters when connecting; later document updates (sharing, renames) must not reconnect
+    const revisionRef = useRef(0);
+    useEffect(() => {
+        revisionRef.current = document?.revision ?? 0;
+    }, [document?.revision]);
+
+    const isLoaded = Boolean(document);
+    const userId = user?._id;
+
+    useEffect(() => {
+        if (!isLoaded) return;
+
+        const instance = createDocumentSync({
+            documentId,
+            userId,
+            revision: revisionRef.current,
+            getEditor: () => quillRef.current?.getEditor(),
+            onConnectionChange: setConnection,
+            onSessionChange: setIsLive,
+            onPendingChange: setPendingCount,
+            onConflict: setSyncConflict,
+            onRoleChange: (role) => callbacksRef.current.onRoleChange?.(role),
+            onAccessError: (error) => callbacksRef.current.onAccessError?.(error),
+            onResync: () => setResyncCount(count => count + 1),
+            onError: (message) => toast.error(message),
+        });
+        setSync(instance);
+
+        // Cleanup on unmount (Back button or navigating away)
+        return () => {
+            // If user has edit rights, save state to backend before completely leaving room.
+            // Leaving with Back has usually just saved, so only unconfirmed edits go out (as an autosave).
+            const hasUnsavedContent = contentRef.current && contentRef.current !== savedContentRef.current;
+            if (!isReadOnlyRef.current && isSaveLeaderRef.current && hasUnsavedContent) {
+                instance.save(contentRef.current, { autosave: true });
+            }
+            instance.destroy();
+            setSync(null);
+            setConnection(INITIAL_CONNECTION);
+            setIsLive(false);
+        };
+    }, [documentId, isLoaded, userId, quillRef]);
+
+    return {
+        socket: sync?.socket || null,
+        connection,
+        isLive,
+        resyncCount,
+        pendingCount,
+        syncConflict,
+        applyLocalChange: (delta) => sync?.applyLocalChange(delta),
+        resolveConflict: (choice) => sync?.resolveConflict(choice),
+        reconnectNow: () => sync?.reconnectNow(),
+        getRevision: () => sync?.getRevision() ?? null,
+        save: async (content, options) => {
+            if (!sync) return { ok: false, reason: 'offline' };
+            const contentAtStart = contentRef.current;
+            const result = await sync.save(content, options);
+            if (result.ok) savedContentRef.current = contentAtStart;
+            return result;
+        },
+    };
+};
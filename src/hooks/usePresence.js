@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+
+const IDLE_AFTER_MS = 60 * 1000;
+
+const PRESENCE_COLORS = ['#F59E0B', '#EC4899', '#8B5CF6', '#06B6D4', '#84CC16', '#F97316', '#14B8A6', '#E11D48'];
+
+// Stable color per user so the same person looks the same in every tab
+export const colorForUser = (userId = '') => {
+    let hash = 0;
+    for (let i = 0; i < userId.length; i++) {
+        hash = (hash * 31 + userId.charCodeAt(i)) | 0;
+    }
+    return PRESENCE_COLORS[Math.abs(hash) % PRESENCE_COLORS.length];
+};
+
+// Tracks who else is in the document room and mirrors their cursors into Quill.
+//
+// Socket contract:
+//   emit  'presence-update' { documentId, range, idle }
+//   on    'presence-state'  [{ clientId, user, range, idle }]  (snapshot sent after joining)
+//   on    'presence-update' { clientId, user, range, idle }
+//   on    'presence-leave'  { clientId }
+// We never say who we are: the server attaches `user` ({ _id, username, avatarUrl }) from
+// the socket's authenticated account, so nobody can show up under someone else's name.
+// Only active while `enabled`, i.e. once the document room has been joined.
+export const usePresence = ({ socket, enabled, documentId, quillRef }) => {
+    const [collaborators, setCollaborators] = useState([]);
+
+    useEffect(() => {
+        const editor = quillRef.current?.getEditor();
+        if (!socket || !enabled || !editor) return;
+
+        const cursors = editor.getModule('cursors');
+        let idle = false;
+        let idleTimer = null;
+
+        const publish = (range = editor.getSelection()) => {
+            socket.emit('presence-update', { documentId, range: range || null, idle });
+        };
+
+        const setIdle = (nextIdle) => {
+            if (idle === nextIdle) return;
+            idle = nextIdle;
+            publish();
+        };
+
+        const markActive = () => {
+            setIdle(false);
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+        };
+
+        const drawCursor = ({ clientId, user: remoteUser, range }) => {
+            if (!cursors) return;
+            if (!range) {
+                cursors.removeCursor(clientId);
+                return;
+            }
+            cursors.createCursor(clientId, remoteUser?.username || 'Anonymous', colorForUser(remoteUser?._id));
+            cursors.moveCursor(clientId, range);
+        };
+
+        const handleState = (entries) => {
+            const others = entries.filter(entry => entry.clientId !== socket.id);
+            cursors?.clearCursors();
+            others.forEach(drawCursor);
+            setCollaborators(others);
+        };
+
+        const handleUpdate = (entry) => {
+            if (entry.clientId === socket.id) return;
+            drawCursor(entry);
+            setCollaborators(prev => [...prev.filter(c => c.clientId !== entry.clientId), entry]);
+        };
+
+        const handleLeave = ({ clientId }) => {
+            cursors?.removeCursor(clientId);
+            setCollaborators(prev => prev.filter(c => c.clientId !== clientId));
+        };
+
+        const handleSelectionChange = (range, oldRange, source) => {
+            if (!range || source === 'api') return; // Keep showing the last spot when the editor blurs
+            markActive();
+            publish(range);
+        };
+
+        const handleTextChange = (delta, oldDelta, source) => {
+            if (source !== 'user') return;
+            markActive();
+            publish();
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                setIdle(true);
+            } else {
+                markActive();
+            }
+        };
+
+        socket.on('presence-state', handleState);
+        socket.on('presence-update', handleUpdate);
+        socket.on('presence-leave', handleLeave);
+        editor.on('selection-change', handleSelectionChange);
+        editor.on('text-change', handleTextChange);
+        window.addEventListener('mousemove', markActive);
+        window.addEventListener('keydown', markActive);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        markActive();
+        publish();
+
+        return () => {
+            clearTimeout(idleTimer);
+            socket.off('presence-state', handleState);
+            socket.off('presence-update', handleUpdate);
+            socket.off('presence-leave', handleLeave);
+            editor.off('selection-change', handleSelectionChange);
+            editor.off('text-change', handleTextChange);
+            window.removeEventListener('mousemove', markActive);
+            window.removeEventListener('keydown', markActive);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            cursors?.clearCursors();
+            setCollaborators([]);
+        };
+    }, [socket, enabled, documentId, quillRef]);
+
+    return collaborators;
+};
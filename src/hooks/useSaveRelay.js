@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { openTabChannel } from '../utils/tabChannel';
+
+const SAVE_REQUEST_TIMEOUT_MS = 15000;
+
+// Lets the tabs of one document share a single saver (see useTabLeader). Every tab keeps
+// its own OT session, but only the leader persists: followers tell it when they edit and
+// forward "Save now", and the leader broadcasts its save status for them to show.
+//
+// Channel `document:<id>` messages:
+//   follower -> leader: { type: 'edited' } | { type: 'save-request' } | { type: 'status-request' }
+//   leader -> followers: { type: 'save-status', status } | { type: 'save-result', result: { ok, reason, message } }
+export const useSaveRelay = ({ documentId, enabled, isLeader, status, saveNow, markDirty }) => {
+    const [leaderStatus, setLeaderStatus] = useState('saved');
+    const channelRef = useRef(null);
+    const pendingSaveRef = useRef(null);
+
+    // Latest values for the channel handler, without reopening the channel whenever they change
+    const latestRef = useRef({ isLeader, status, saveNow, markDirty });
+    useEffect(() => {
+        latestRef.current = { isLeader, status, saveNow, markDirty };
+    });
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const channel = openTabChannel(`document:${documentId}`, async (message) => {
+            const latest = latestRef.current;
+            if (!latest.isLeader) {
+                if (message.type === 'save-status') setLeaderStatus(message.status);
+                if (message.type === 'save-result') {
+                    pendingSaveRef.current?.(message.result);
+                    pendingSaveRef.current = null;
+                }
+                return;
+            }
+
+            if (message.type === 'edited') {
+                latest.markDirty();
+            } else if (message.type === 'status-request') {
+                channel.post({ type: 'save-status', status: latest.status });
+            } else if (message.type === 'save-request') {
+                const { ok, reason, message: errorMessage } = await latest.saveNow();
+                channel.post({ type: 'save-result', result: { ok, reason, message: errorMessage } });
+            }
+        });
+        channelRef.current = channel;
+        channel.post({ type: 'status-request' });
+
+        return () => {
+            channel.close();
+            channelRef.current = null;
+        };
+    }, [documentId, enabled]);
+
+    // Keep followers' status line in step with ours, including right after we take over
+    useEffect(() => {
+        if (isLeader) channelRef.current?.post({ type: 'save-status', status });
+    }, [isLeader, status]);
+
+    const notifyEdit = useCallback(() => {
+        channelRef.current?.post({ type: 'edited' });
+    }, []);
+
+    // Resolves like saveNow() once the leader tab reports back
+    const requestSave = useCallback(() => new Promise(resolve => {
+        if (!channelRef.current) {
+            resolve({ ok: false, reason: 'offline' });
+            return;
+        }
+        const timer = setTimeout(() => {
+            pendingSaveRef.current = null;
+            resolve({ ok: false, reason: 'timeout' });
+        }, SAVE_REQUEST_TIMEOUT_MS);
+        pendingSaveRef.current = (result) => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        channelRef.current.post({ type: 'save-request' });
+    }), []);
+
+    return { leaderStatus, notifyEdit, requestSave };
+};
@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { trackChange, listSuggestions, resolveSuggestions } from '../utils/suggestions';
+
+// Position of the first deletion in `delta`, or null if it deletes nothing
+const firstDeleteIndex = (delta) => {
+    let index = 0;
+    for (const op of delta.ops) {
+        if (op.delete) return index;
+        index += op.retain || (typeof op.insert === 'string' ? op.insert.length : 1);
+    }
+    return null;
+};
+
+// Track-changes layer over the editor. While `suggesting`, every user edit is
+// rewritten into suggestion marks right after Quill applies it, and the edit and its
+// rewrite go to `onLocalChange` as one change: a raw deletion never leaves this tab.
+// The editor must not send user edits itself while `isTrackingEdits()`. Line breaks are not tracked.
+export const useSuggestions = ({ enabled, suggesting, user, quillRef, onLocalChange }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const skipTrackingRef = useRef(false); // Accept/reject and restores: sent as is
+    const isCorrectingRef = useRef(false); // Our own rewrite: sent together with the edit it fixes
+    const onLocalChangeRef = useRef(onLocalChange);
+    const isTrackingRef = useRef(false); // Whether the listener below sends user edits
+
+    useEffect(() => {
+        onLocalChangeRef.current = onLocalChange;
+    });
+
+    useEffect(() => {
+        const editor = quillRef.current?.getEditor();
+        if (!enabled || !editor) return;
+
+        let lastRange = editor.getSelection();
+
+        const keepCursor = (delta, before, after, addedLength) => {
+            const deleteAt = firstDeleteIndex(delta);
+            const isPureDelete = deleteAt !== null && !delta.ops.some(op => op.insert !== undefined);
+            if (isPureDelete) {
+                // Backspace lands before the struck-through text, Delete jumps past it
+                const isForwardDelete = before?.length === 0 && before.index === deleteAt;
+                editor.setSelection(isForwardDelete ? deleteAt + addedLength : deleteAt, 0, 'silent');
+            } else if (after) {
+                editor.setSelection(after, 'silent');
+            }
+        };
+
+        const handleEditorChange = (eventName, ...args) => {
+            if (eventName === 'selection-change') {
+                if (args[0]) lastRange = args[0];
+                return;
+            }
+
+            const [delta, oldDelta, source] = args;
+            if (suggesting && source === 'user' && !isCorrectingRef.current) {
+                const correction = skipTrackingRef.current ? null : trackChange(editor, delta, oldDelta, user);
+                if (correction) {
+                    const before = lastRange;
+                    const after = editor.getSelection();
+                    const lengthBefore = editor.getLength();
+
+                    isCorrectingRef.current = true;
+                    editor.updateContents(correction, 'user');
+                    isCorrectingRef.current = false;
+
+                    onLocalChangeRef.current(delta.compose(correction));
+                    keepCursor(delta, before, after, editor.getLength() - lengthBefore);
+                    return; // The correction's own change event refreshes the list
+                }
+                onLocalChangeRef.current(delta);
+            }
+
+            setSuggestions(listSuggestions(editor.getContents()));
+        };
+
+        editor.on('editor-change', handleEditorChange);
+        isTrackingRef.current = suggesting;
+        handleEditorChange('text-change', null, null, 'api');
+        return () => {
+            editor.off('editor-change', handleEditorChange);
+            isTrackingRef.current = false;
+        };
+    }, [enabled, suggesting, user, quillRef]);
+
+    // Applies `change` as a normal user edit that reaches everyone, but is never turned into suggestions
+    const applyUntracked = (change) => {
+        const editor = quillRef.current?.getEditor();
+        if (!editor || change.ops.length === 0) return;
+
+        skipTrackingRef.current = true;
+        editor.updateContents(change, 'user');
+        skipTrackingRef.current = false;
+    };
+
+    const resolve = (shouldResolve, accept) => {
+        const editor = quillRef.current?.getEditor();
+        if (!editor) return;
+        applyUntracked(resolveSuggestions(editor.getContents(), shouldResolve, accept));
+    };
+
+    return {
+        suggestions,
+        isTrackingEdits: () => isTrackingRef.current,
+        applyUntracked,
+        acceptSuggestion: (id) => resolve(meta => meta.id === id, true),
+        rejectSuggestion: (id) => resolve(meta => meta.id === id, false),
+        acceptAll: () => resolve(() => true, true),
+        rejectAll: () => resolve(() => true, false),
+    };
+};
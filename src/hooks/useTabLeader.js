@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+
+// Elects one tab per `name` using the Web Locks API: the tab holding the lock is the
+// leader until it closes (or `enabled` turns false), then the next waiting tab takes over.
+// Without Web Locks every tab considers itself the leader, as if it were alone.
+export const useTabLeader = (name, enabled = true) => {
+    const [isLeader, setIsLeader] = useState(() => !navigator.locks);
+
+    useEffect(() => {
+        if (!enabled || !navigator.locks) return;
+
+        const controller = new AbortController();
+        let release = null;
+        navigator.locks.request(name, { signal: controller.signal }, () => {
+            setIsLeader(true);
+            // Hold the lock until cleanup
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        }).catch(() => {}); // Aborted while still waiting for the lock
+
+        return () => {
+            controller.abort();
+            release?.();
+            setIsLeader(false);
+        };
+    }, [name, enabled]);
+
+    return isLeader;
+};
@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+
+export const TAG_COLORS = ['#EF4444', '#F59E0B', '#10B981', '#06B6D4', '#3B82F6', '#8B5CF6', '#EC4899', '#64748B'];
+
+// The current user's tags. They are personal labels, so the same document can
+// carry different tags for each collaborator.
+//
+// REST:
+//   GET    /tags                      -> [{ _id, name, color }]
+//   POST   /tags { name, color }      -> tag
+//   DELETE /tags/:id                  (also removes it from every document)
+//   PATCH  /documents/:id/organize { folder?, tags? } -> document with our folder and tags
+export const useTags = () => {
+    const [tags, setTags] = useState([]);
+
+    useEffect(() => {
+        const fetchTags = async () => {
+            try {
+                const { data } = await api.get('/tags');
+                setTags(data);
+            } catch (err) {
+                console.error('Failed to fetch tags', err);
+            }
+        };
+
+        fetchTags();
+    }, []);
+
+    const createTag = async (name, color) => {
+        try {
+            const { data } = await api.post('/tags', { name, color });
+            setTags(prev => [...prev, data]);
+            return data;
+        } catch (err) {
+            console.error('Failed to create tag', err);
+            toast.error(err.response?.data?.message || 'Error creating tag');
+            return null;
+        }
+    };
+
+    const deleteTag = async (tag) => {
+        if (!window.confirm(`Delete the tag "${tag.name}"? It will be removed from all documents.`)) return false;
+        try {
+            await api.delete(`/tags/${tag._id}`);
+            setTags(prev => prev.filter(t => t._id !== tag._id));
+            return true;
+        } catch (err) {
+            console.error('Failed to delete tag', err);
+            toast.error(err.response?.data?.message || 'Error deleting tag');
+            return false;
+        }
+    };
+
+    return { tags, createTag, deleteTag };
+};
@@ -1,71 +1,259 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../api/axios';
-import { LogOut, FileText, Plus, Trash2, Edit3, X } from 'lucide-react';
+import { LogOut, Settings, FileText, Plus, Trash2, Edit3, Search, ChevronLeft, ChevronRight, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import NewDocumentModal from '../components/NewDocumentModal';
+import FolderSidebar from '../components/FolderSidebar';
+import { TagChip } from '../components/TagPicker';
+import { useTags } from '../hooks/useTags';
+import { DOCUMENT_DRAG_TYPE } from '../utils/dragAndDrop';
+import { createSocket } from '../api/socket';
+import EditableTitle from '../components/EditableTitle';
+import UserAvatar from '../components/UserAvatar';
+
+const PAGE_SIZE = 12;
+
+const daysUntil = (date) => Math.max(0, Math.ceil((new Date(date) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const ROLE_FILTERS = [
+    { value: '', label: 'All documents' },
+    { value: 'owner', label: 'Owned by me' },
+    { value: 'editor', label: 'Shared with me as editor' },
+    { value: 'suggester', label: 'Shared with me as suggester' },
+    { value: 'viewer', label: 'Shared with me as viewer' },
+];
+
+const SORT_OPTIONS = [
+    { value: 'updated', label: 'Last modified' },
+    { value: 'created', label: 'Date created' },
+    { value: 'title', label: 'Title (A-Z)' },
+];
 
 const Dashboard = () => {
     const { user, logout } = useContext(AuthContext);
     const navigate = useNavigate();
 
     const [documents, setDocuments] = useState([]);
+    const [owners, setOwners] = useState([]);
+    const [totalPages, setTotalPages] = useState(1);
+    const [trashRetentionDays, setTrashRetentionDays] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [folders, setFolders] = useState([]);
+    const { tags, createTag, deleteTag } = useTags();
 
     // Modal State
     const [showModal, setShowModal] = useState(false);
-    const [newDocTitle, setNewDocTitle] = useState('');
-    const [isCreating, setIsCreating] = useState(false);
+
+    // Search, filters, sort and page live in the URL so views survive reloads and can be shared
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const roleFilter = searchParams.get('role') || '';
+    const ownerFilter = searchParams.get('owner') || '';
+    const sort = searchParams.get('sort') || 'updated';
+    const page = Number(searchParams.get('page')) || 1;
+    const folderFilter = searchParams.get('folder') || ''; // folder id, 'shared' for documents shared with us, or 'trash'
+    const tagFilter = searchParams.get('tag') || '';
+    const hasFilters = Boolean(query || roleFilter || ownerFilter || tagFilter);
+    const isTrash = folderFilter === 'trash';
 
     useEffect(() => {
-        fetchDocuments();
+        const fetchFolders = async () => {
+            try {
+                const { data } = await api.get('/folders');
+                setFolders(data);
+            } catch (err) {
+                console.error('Failed to fetch folders', err);
+            }
+        };
+
+        fetchFolders();
     }, []);
 
-    const fetchDocuments = async () => {
+    // GET /documents?q&role&owner&folder&tag&sort&page&limit -> { documents, page, totalPages, owners }
+    // `q` matches title and content; `owners` lists everyone who owns a document visible to us.
+    // Each document carries our own `folder` and `tags`. With folder=trash the list holds only our
+    // soft-deleted documents, each with `deletedAt` and `purgeAt`, and the response adds
+    // `retentionDays`. The server purges trashed documents on its own once `purgeAt` passes.
+    useEffect(() => {
+        const fetchDocuments = async () => {
+            try {
+                setLoading(true);
+                const params = new URLSearchParams({ sort, page, limit: PAGE_SIZE });
+                if (query) params.set('q', query);
+                if (roleFilter) params.set('role', roleFilter);
+                if (ownerFilter) params.set('owner', ownerFilter);
+                if (folderFilter) params.set('folder', folderFilter);
+                if (tagFilter) params.set('tag', tagFilter);
+
+                const { data } = await api.get(`/documents?${params}`);
+                setDocuments(data.documents);
+                setTotalPages(Math.max(1, data.totalPages));
+                setOwners(data.owners || []);
+                if (folderFilter === 'trash') setTrashRetentionDays(data.retentionDays ?? null);
+                setError(null);
+            } catch (err) {
+                setError('Failed to load documents');
+                console.error(err);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchDocuments();
+    }, [query, roleFilter, ownerFilter, folderFilter, tagFilter, sort, page, reloadKey]);
+
+    // Renames made anywhere (the editor, another tab, a collaborator) update the cards in place.
+    // Socket contract (the server knows who we are from the handshake): emit 'join-dashboard';
+    // on 'document-renamed' { documentId, title }, 'document-trashed' { documentId } and
+    // 'document-restored' { documentId }
+    useEffect(() => {
+        const socket = createSocket();
+        socket.on('connect', () => socket.emit('join-dashboard'));
+        socket.on('document-renamed', ({ documentId, title }) => {
+            setDocuments(prev => prev.map(doc => doc._id === documentId ? { ...doc, title } : doc));
+        });
+        socket.on('document-trashed', () => setReloadKey(key => key + 1));
+        socket.on('document-restored', () => setReloadKey(key => key + 1));
+        return () => socket.disconnect();
+    }, [user._id]);
+
+    const handleRenameDocument = async (documentId, title) => {
         try {
-            setLoading(true);
-            const { data } = await api.get('/documents');
-            setDocuments(data);
+            const { data } = await api.patch(`/documents/${documentId}`, { title });
+            setDocuments(prev => prev.map(doc => doc._id === documentId ? { ...doc, title: data.title } : doc));
+            return true;
         } catch (err) {
-            setError('Failed to load documents');
-            console.error(err);
-        } finally {
-            setLoading(false);
+            console.error('Failed to rename document', err);
+            toast.error(err.response?.data?.message || 'Error renaming document');
+            return false;
         }
     };
 
-    const handleCreateDocument = async (e) => {
+    // Any change other than paging starts again from the first page
+    const updateParams = (changes) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(prev);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) next.set(key, value);
+                else next.delete(key);
+            });
+            if (!('page' in changes)) next.delete('page');
+            return next;
+        });
+    };
+
+    const handleSearch = (e) => {
         e.preventDefault();
-        if (!newDocTitle.trim()) return;
+        updateParams({ q: new FormData(e.currentTarget).get('q').trim() });
+    };
+
+    const reloadDocuments = () => setReloadKey(key => key + 1);
+
+    // For actions that take a document off the current page: once the last one is gone,
+    // step back a page instead of showing an empty one
+    const reloadAfterRemoving = () => {
+        if (documents.length <= 1 && page > 1) updateParams({ page: page - 1 });
+        else reloadDocuments();
+    };
+
+    const handleMoveDocument = async (documentId, folderId) => {
+        try {
+            await api.patch(`/documents/${documentId}/organize`, { folder: folderId });
+            const folder = folders.find(f => f._id === folderId);
+            toast.success(folder ? `Moved to ${folder.name}` : 'Removed from folder');
+            reloadDocuments();
+        } catch (err) {
+            console.error('Failed to move document', err);
+            toast.error(err.response?.data?.message || 'Error moving document');
+        }
+    };
+
+    const handleDeleteTag = async (tag) => {
+        if (!(await deleteTag(tag))) return;
+        if (tagFilter === tag._id) updateParams({ tag: '' });
+        reloadDocuments();
+    };
 
-        setIsCreating(true);
+    const sectionTitle = folderFilter === 'shared' ? 'Shared with me'
+        : isTrash ? 'Trash'
+        : folders.find(f => f._id === folderFilter)?.name || 'Your Documents';
+
+    // POST /documents/:id/restore -> document
+    const restoreDocument = async (id) => {
         try {
-            const { data } = await api.post('/documents', { title: newDocTitle });
-            setShowModal(false);
-            setNewDocTitle('');
-            navigate(`/d/${data._id}`); // Navigate directly to the new document
+            await api.post(`/documents/${id}/restore`);
+            return true;
         } catch (err) {
-            console.error('Failed to create document', err);
-            alert('Error creating document');
-        } finally {
-            setIsCreating(false);
+            console.error('Failed to restore document', err);
+            toast.error(err.response?.data?.message || 'Error restoring document');
+            return false;
         }
     };
 
-    const handleDeleteDocument = async (e, id) => {
+    // DELETE /documents/:id moves the document to the trash; collaborators lose access until it is restored
+    const handleDeleteDocument = async (e, doc) => {
         e.stopPropagation(); // prevent navigation on card click
-        if (window.confirm('Are you sure you want to delete this document?')) {
-            try {
-                await api.delete(`/documents/${id}`);
-                setDocuments(documents.filter(doc => doc._id !== id));
-            } catch (err) {
-                if (err.response?.status === 403) {
-                    alert("Only the owner can delete this document.");
-                } else {
-                    console.error('Failed to delete document', err);
-                    alert('Error deleting document');
-                }
-            }
+        try {
+            await api.delete(`/documents/${doc._id}`);
+            reloadAfterRemoving();
+            toast((t) => (
+                <span style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                    Moved "{doc.title}" to the trash
+                    <button
+                        className="btn"
+                        style={{ padding: '0.25rem 0.6rem', background: 'var(--surface)' }}
+                        onClick={async () => {
+                            toast.dismiss(t.id);
+                            if (!(await restoreDocument(doc._id))) return;
+                            toast.success('Document restored');
+                            reloadDocuments();
+                        }}
+                    >
+                        Undo
+                    </button>
+                </span>
+            ), { duration: 6000 });
+        } catch (err) {
+            console.error('Failed to delete document', err);
+            toast.error(err.response?.status === 403
+                ? 'Only the owner can delete this document.'
+                : err.response?.data?.message || 'Error deleting document');
+        }
+    };
+
+    const handleRestoreDocument = async (doc) => {
+        if (!(await restoreDocument(doc._id))) return;
+        toast.success(`Restored "${doc.title}"`);
+        reloadAfterRemoving();
+    };
+
+    // DELETE /documents/:id/permanent (trashed documents only)
+    const handlePurgeDocument = async (doc) => {
+        if (!window.confirm(`Permanently delete "${doc.title}"? This cannot be undone.`)) return;
+        try {
+            await api.delete(`/documents/${doc._id}/permanent`);
+            toast.success('Document permanently deleted');
+            reloadAfterRemoving();
+        } catch (err) {
+            console.error('Failed to purge document', err);
+            toast.error(err.response?.data?.message || 'Error deleting document');
+        }
+    };
+
+    // DELETE /documents/trash purges everything in our trash
+    const handleEmptyTrash = async () => {
+        if (!window.confirm('Permanently delete every document in the trash? This cannot be undone.')) return;
+        try {
+            await api.delete('/documents/trash');
+            toast.success('Trash emptied');
+            reloadDocuments();
+        } catch (err) {
+            console.error('Failed to empty trash', err);
+            toast.error(err.response?.data?.message || 'Error emptying trash');
         }
     };
 
@@ -74,8 +262,13 @@ const Dashboard = () => {
             <div className="dashboard-header">
                 <h1>CollabDocs Dashboard</h1>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                    <UserAvatar user={user} />
                     <span style={{ color: 'var(--text-muted)' }}>Welcome, {user?.username}</span>
-                    <button onClick={logout} className="btn" style={{ background: 'rgba(255,255,255,0.1)', color: 'white' }}>
+                    <Link to="/settings" className="btn" style={{ background: 'rgba(255,255,255,0.1)', color: 'white' }}>
+                        <Settings size={18} style={{ marginRight: '0.5rem' }} />
+                        Settings
+                    </Link>
+                    <button onClick={() => logout()} className="btn" style={{ background: 'rgba(255,255,255,0.1)', color: 'white' }}>
                         <LogOut size={18} style={{ marginRight: '0.5rem' }} />
                         Logout
                     </button>
@@ -83,103 +276,225 @@ const Dashboard = () => {
             </div>
 
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
-                <h2>Your Documents</h2>
-                <button onClick={() => setShowModal(true)} className="btn btn-primary">
-                    <Plus size={18} style={{ marginRight: '0.5rem' }} />
-                    New Document
-                </button>
+                <h2>{sectionTitle}</h2>
+                {isTrash ? (
+                    <button onClick={handleEmptyTrash} className="btn btn-danger" disabled={documents.length === 0}>
+                        <Trash2 size={18} style={{ marginRight: '0.5rem' }} />
+                        Empty Trash
+                    </button>
+                ) : (
+                    <button onClick={() => setShowModal(true)} className="btn btn-primary">
+                        <Plus size={18} style={{ marginRight: '0.5rem' }} />
+                        New Document
+                    </button>
+                )}
             </div>
 
-            {loading ? (
-                <div className="loader">Loading documents...</div>
-            ) : error ? (
-                <div className="auth-error">{error}</div>
-            ) : documents.length === 0 ? (
-                <div className="glass-card" style={{ padding: '4rem', textAlign: 'center' }}>
-                    <FileText size={48} color="var(--primary)" style={{ margin: '0 auto 1rem', display: 'block' }} />
-                    <h3 style={{ marginBottom: '0.5rem' }}>No documents yet</h3>
-                    <p style={{ color: 'var(--text-muted)' }}>Get started by creating your first document.</p>
-                </div>
-            ) : (
-                <div className="grid-container">
-                    {documents.map((doc) => {
-                        const isOwner = doc.owner._id === user._id;
-                        const role = isOwner ? 'Owner' : doc.sharedWith.find(s => s.userId === user._id)?.role || 'Viewer';
-
-                        return (
-                            <div key={doc._id} className="glass-card doc-card" onClick={() => navigate(`/d/${doc._id}`)}>
-                                <div className="doc-card-header">
-                                    <h3 className="doc-title"><FileText size={18} /> {doc.title}</h3>
-                                    <div className={`role-badge ${isOwner ? 'owner' : role}`}>
-                                        {role}
+            <div className="dashboard-body">
+                <FolderSidebar
+                    folders={folders}
+                    onFoldersChange={setFolders}
+                    activeFolder={folderFilter}
+                    activeTag={tagFilter}
+                    tags={tags}
+                    onSelectFolder={(folder) => updateParams({ folder })}
+                    onSelectTag={(tag) => updateParams({ tag })}
+                    onCreateTag={createTag}
+                    onDeleteTag={handleDeleteTag}
+                    onDropDocument={handleMoveDocument}
+                />
+
+                <div className="dashboard-main">
+                    <div className="dashboard-filters">
+                        {/* Keyed on the URL value so back/forward navigation resets the box */}
+                        <form key={query} onSubmit={handleSearch} className="dashboard-search">
+                            <Search size={16} />
+                            <input name="q" type="search" placeholder="Search titles and content" defaultValue={query} />
+                        </form>
+                        <select value={roleFilter} onChange={(e) => updateParams({ role: e.target.value })}>
+                            {ROLE_FILTERS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        <select value={ownerFilter} onChange={(e) => updateParams({ owner: e.target.value })}>
+                            <option value="">Any owner</option>
+                            {owners.map(owner => (
+                                <option key={owner._id} value={owner._id}>{owner._id === user._id ? 'Me' : owner.username}</option>
+                            ))}
+                        </select>
+                        <select value={sort} onChange={(e) => updateParams({ sort: e.target.value === 'updated' ? '' : e.target.value })}>
+                            {SORT_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        {hasFilters && (
+                            <button type="button" className="btn" style={{ background: 'transparent' }} onClick={() => updateParams({ q: '', role: '', owner: '', tag: '' })}>
+                                Clear filters
+                            </button>
+                        )}
+                    </div>
+
+                    {isTrash && (
+                        <p className="trash-notice">
+                            Documents in the trash are hidden from collaborators
+                            {trashRetentionDays ? ` and permanently deleted after ${trashRetentionDays} days` : ''}.
+                        </p>
+                    )}
+
+                    {loading ? (
+                        <div className="loader">Loading documents...</div>
+                    ) : error ? (
+                        <div className="auth-error">{error}</div>
+                    ) : documents.length === 0 && hasFilters ? (
+                        <div className="glass-card" style={{ padding: '4rem', textAlign: 'center' }}>
+                            <Search size={48} color="var(--primary)" style={{ margin: '0 auto 1rem', display: 'block' }} />
+                            <h3 style={{ marginBottom: '0.5rem' }}>No matching documents</h3>
+                            <p style={{ color: 'var(--text-muted)' }}>Try a different search or clear the filters.</p>
+                        </div>
+                    ) : documents.length === 0 && folderFilter ? (
+                        <div className="glass-card" style={{ padding: '4rem', textAlign: 'center' }}>
+                            <FileText size={48} color="var(--primary)" style={{ margin: '0 auto 1rem', display: 'block' }} />
+                            <h3 style={{ marginBottom: '0.5rem' }}>Nothing here yet</h3>
+                            <p style={{ color: 'var(--text-muted)' }}>
+                                {folderFilter === 'shared' ? 'Documents others share with you will show up here.'
+                                    : isTrash ? 'Deleted documents will show up here.'
+                                    : 'Drag documents onto this folder in the sidebar to file them.'}
+                            </p>
+                        </div>
+                    ) : documents.length === 0 ? (
+                        <div className="glass-card" style={{ padding: '4rem', textAlign: 'center' }}>
+                            <FileText size={48} color="var(--primary)" style={{ margin: '0 auto 1rem', display: 'block' }} />
+                            <h3 style={{ marginBottom: '0.5rem' }}>No documents yet</h3>
+                            <p style={{ color: 'var(--text-muted)' }}>Get started by creating your first document.</p>
+                        </div>
+                    ) : (
+                        <div className="grid-container">
+                            {isTrash && documents.map((doc) => (
+                                <div key={doc._id} className="glass-card doc-card trashed">
+                                    <div className="doc-card-header">
+                                        <h3 className="doc-title">
+                                            <FileText size={18} />
+                                            <span>{doc.title}</span>
+                                        </h3>
                                     </div>
-                                </div>
 
-                                <div className="doc-card-body">
-                                    <p className="doc-meta">Created: {new Date(doc.createdAt).toLocaleDateString()}</p>
-                                    <p className="doc-meta">Owner: {isOwner ? 'You' : doc.owner.username}</p>
-                                </div>
+                                    <div className="doc-card-body">
+                                        <p className="doc-meta">Deleted: {new Date(doc.deletedAt).toLocaleDateString()}</p>
+                                        <p className="doc-meta trash-countdown">
+                                            {daysUntil(doc.purgeAt) === 0 ? 'Deleted forever today' : `Deleted forever in ${daysUntil(doc.purgeAt)} days`}
+                                        </p>
+                                    </div>
 
-                                <div className="doc-card-footer">
-                                    <button
-                                        className="btn btn-primary"
-                                        style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', flex: 1 }}
-                                        onClick={(e) => {
-                                            e.stopPropagation();
-                                            navigate(`/d/${doc._id}`);
-                                        }}
-                                    >
-                                        <Edit3 size={16} style={{ marginRight: '0.4rem' }} /> Open Document
-                                    </button>
-                                    {isOwner && (
+                                    <div className="doc-card-footer">
+                                        <button
+                                            className="btn btn-primary"
+                                            style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', flex: 1 }}
+                                            onClick={() => handleRestoreDocument(doc)}
+                                        >
+                                            <RotateCcw size={16} style={{ marginRight: '0.4rem' }} /> Restore
+                                        </button>
                                         <button
                                             className="btn-icon delete-btn"
-                                            onClick={(e) => handleDeleteDocument(e, doc._id)}
-                                            title="Delete document"
+                                            onClick={() => handlePurgeDocument(doc)}
+                                            title="Delete forever"
                                             style={{ padding: '0.55rem', borderRadius: '8px', marginLeft: '0.5rem' }}
                                         >
                                             <Trash2 size={18} />
                                         </button>
-                                    )}
+                                    </div>
                                 </div>
-                            </div>
-                        );
-                    })}
-                </div>
-            )}
+                            ))}
+                            {!isTrash && documents.map((doc) => {
+                                const isOwner = doc.owner._id === user._id;
+                                const role = isOwner ? 'Owner' : doc.sharedWith.find(s => s.userId === user._id)?.role || 'Viewer';
+                                const canRename = isOwner || role === 'editor';
 
-            {/* Create Document Modal */}
-            {showModal && (
-                <div className="modal-overlay">
-                    <div className="glass-card modal-content">
-                        <div className="modal-header">
-                            <h2>Create New Document</h2>
-                            <button className="btn-icon" onClick={() => setShowModal(false)}>
-                                <X size={24} />
+                                return (
+                                    <div
+                                        key={doc._id}
+                                        className="glass-card doc-card"
+                                        onClick={() => navigate(`/d/${doc._id}`)}
+                                        // Only our own documents can be filed into folders
+                                        draggable={isOwner}
+                                        onDragStart={(e) => e.dataTransfer.setData(DOCUMENT_DRAG_TYPE, doc._id)}
+                                    >
+                                        <div className="doc-card-header">
+                                            <h3 className="doc-title">
+                                                <FileText size={18} />
+                                                <EditableTitle
+                                                    as="span"
+                                                    title={doc.title}
+                                                    canEdit={canRename}
+                                                    onRename={(title) => handleRenameDocument(doc._id, title)}
+                                                />
+                                            </h3>
+                                            <div className={`role-badge ${isOwner ? 'owner' : role}`}>
+                                                {role}
+                                            </div>
+                                        </div>
+
+                                        <div className="doc-card-body">
+                                            <p className="doc-meta">Created: {new Date(doc.createdAt).toLocaleDateString()}</p>
+                                            <p className="doc-meta">Modified: {new Date(doc.updatedAt || doc.createdAt).toLocaleDateString()}</p>
+                                            <p className="doc-meta">Owner: {isOwner ? 'You' : doc.owner.username}</p>
+                                            {doc.tags?.length > 0 && (
+                                                <div className="doc-tags">
+                                                    {tags.filter(tag => doc.tags.includes(tag._id)).map(tag => <TagChip key={tag._id} tag={tag} />)}
+                                                </div>
+                                            )}
+                                        </div>
+
+                                        <div className="doc-card-footer">
+                                            <button
+                                                className="btn btn-primary"
+                                                style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', flex: 1 }}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    navigate(`/d/${doc._id}`);
+                                                }}
+                                            >
+                                                <Edit3 size={16} style={{ marginRight: '0.4rem' }} /> Open Document
+                                            </button>
+                                            {isOwner && (
+                                                <button
+                                                    className="btn-icon delete-btn"
+                                                    onClick={(e) => handleDeleteDocument(e, doc)}
+                                                    title="Move to trash"
+                                                    style={{ padding: '0.55rem', borderRadius: '8px', marginLeft: '0.5rem' }}
+                                                >
+                                                    <Trash2 size={18} />
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {!error && totalPages > 1 && (
+                        <div className="dashboard-pagination">
+                            <button className="btn btn-icon" disabled={page <= 1 || loading} onClick={() => updateParams({ page: page - 1 })}>
+                                <ChevronLeft size={20} />
+                            </button>
+                            <span style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                                Page {page} of {totalPages}
+                            </span>
+                            <button className="btn btn-icon" disabled={page >= totalPages || loading} onClick={() => updateParams({ page: page + 1 })}>
+                                <ChevronRight size={20} />
                             </button>
                         </div>
-                        <form onSubmit={handleCreateDocument}>
-                            <div className="input-group" style={{ marginBottom: '1.5rem' }}>
-                                <input
-                                    type="text"
-                                    placeholder="Document Title (e.g., Marketing Plan)"
-                                    value={newDocTitle}
-                                    onChange={(e) => setNewDocTitle(e.target.value)}
-                                    autoFocus
-                                    required
-                                />
-                            </div>
-                            <div className="modal-actions">
-                                <button type="button" className="btn" onClick={() => setShowModal(false)} style={{ background: 'transparent' }}>
-                                    Cancel
-                                </button>
-                                <button type="submit" className="btn btn-primary" disabled={isCreating || !newDocTitle.trim()}>
-                                    {isCreating ? 'Creating...' : 'Create Document'}
-                                </button>
-                            </div>
-                        </form>
-                    </div>
+                    )}
                 </div>
+            </div>
+
+            {/* Create / Import Document Modal */}
+            {showModal && (
+                <NewDocumentModal
+                    onCreated={(doc) => navigate(`/d/${doc._id}`)} // Navigate directly to the new document
+                    onImported={reloadDocuments}
+                    onClose={() => setShowModal(false)}
+                />
             )}
         </div>
     );
@@ -1,14 +1,49 @@
-import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useContext, useRef } from 'react';
+import { useParams, useNavigate, useBlocker } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../api/axios';
-import { io } from 'socket.io-client';
-import ReactQuill from 'react-quill-new';
+import ReactQuill, { Quill } from 'react-quill-new';
+import QuillCursors from 'quill-cursors';
 import 'react-quill-new/dist/quill.snow.css';
-import { ArrowLeft, Save, Share2, History, CloudLightning, ChevronLeft, ChevronRight } from 'lucide-react';
+import { ArrowLeft, Save, Share2, History, MessageSquare, GitPullRequest, PenLine, LayoutTemplate, Trash2, RotateCcw } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useDocumentSync } from '../hooks/useDocumentSync';
+import { useAutosave } from '../hooks/useAutosave';
+import { useTabLeader } from '../hooks/useTabLeader';
+import { useSaveRelay } from '../hooks/useSaveRelay';
+import { usePresence } from '../hooks/usePresence';
+import { useComments } from '../hooks/useComments';
+import { useSuggestions } from '../hooks/useSuggestions';
+import { useTags } from '../hooks/useTags';
+import { withoutSuggestions } from '../utils/richTextDiff';
+import PresenceAvatars from '../components/PresenceAvatars';
+import ConnectionStatus from '../components/ConnectionStatus';
+import SyncConflictModal from '../components/SyncConflictModal';
+import UnsavedChangesModal from '../components/UnsavedChangesModal';
+import VersionHistoryModal from '../components/VersionHistoryModal';
+import ShareModal from '../components/ShareModal';
+import CommentsSidebar from '../components/CommentsSidebar';
+import SuggestionsSidebar from '../components/SuggestionsSidebar';
+import ExportMenu from '../components/ExportMenu';
+import TagPicker from '../components/TagPicker';
+import SaveTemplateModal from '../components/SaveTemplateModal';
+import EditableTitle from '../components/EditableTitle';
+
+Quill.register('modules/cursors', QuillCursors);
+
+// React-Quill Toolbar Modules Config
+const modules = {
+    toolbar: [
+        [{ 'header': [1, 2, 3, 4, false] }],
+        ['bold', 'italic', 'underline', 'strike'],
+        [{ 'list': 'ordered' }, { 'list': 'bullet' }],
+        ['clean']
+    ],
+    // Remote collaborators' carets and selections, shifted along with incoming deltas
+    cursors: { transformOnTextChange: true },
+};
 
-const DocumentEditor = () => {
+const DocumentEditorContent = ({ onUndeleted }) => {
     const { id } = useParams();
     const navigate = useNavigate();
     const { user } = useContext(AuthContext);
@@ -17,38 +52,37 @@ const DocumentEditor = () => {
     const [content, setContent] = useState('');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [isSaving, setIsSaving] = useState(false);
-    const [socket, setSocket] = useState(null);
+    // Set when the document is in the trash: { title, deletedAt, deletedBy, owner }
+    const [deletion, setDeletion] = useState(null);
+    const [isUndeleting, setIsUndeleting] = useState(false);
 
     // Share Modal State
     const [showShareModal, setShowShareModal] = useState(false);
-    const [shareEmail, setShareEmail] = useState('');
-    const [shareRole, setShareRole] = useState('viewer');
-    const [isSharing, setIsSharing] = useState(false);
+    const [accessRevoked, setAccessRevoked] = useState(false);
+    // Role the server acknowledged for this session; wins over what the document says
+    const [sessionRole, setSessionRole] = useState(null);
 
     // Version History State
     const [showHistoryModal, setShowHistoryModal] = useState(false);
-    const [versions, setVersions] = useState([]);
-    const [versionPage, setVersionPage] = useState(1);
-    const [versionTotalPages, setVersionTotalPages] = useState(1);
-    const [isLoadingVersions, setIsLoadingVersions] = useState(false);
     const [isRestoring, setIsRestoring] = useState(false);
 
-    const quillRef = useRef(null);
-    const contentRef = useRef(content); // Store latest content to avoid dependency cycle in interval
+    const [sidePanel, setSidePanel] = useState(null); // 'comments' | 'suggestions'
+    const [isSuggesting, setIsSuggesting] = useState(false);
+    const [showSaveTemplate, setShowSaveTemplate] = useState(false);
 
-    // Update ref whenever content changes
-    useEffect(() => {
-        contentRef.current = content;
-    }, [content]);
+    const quillRef = useRef(null);
 
     // Determine permissions based on document fetched
     const isOwner = document?.owner?._id === user?._id;
-    const userRole = isOwner ? 'owner'
-        : document?.sharedWith?.find(s => s.userId._id === user?._id)?.role || 'viewer';
+    const userRole = sessionRole || (isOwner ? 'owner'
+        : document?.sharedWith?.find(s => s.userId._id === user?._id)?.role || 'viewer');
     const isReadOnly = userRole === 'viewer';
+    // Suggesters can only propose tracked changes; owners and editors review them
+    const canReview = userRole === 'owner' || userRole === 'editor';
+    const suggesting = userRole === 'suggester' || (canReview && isSuggesting);
 
     // 1. Fetch Initial Document Data
+    // A trashed document answers 410 { message, title, deletedAt, deletedBy: { _id, username }, owner }
     useEffect(() => {
         const fetchDocument = async () => {
             try {
@@ -56,9 +90,14 @@ const DocumentEditor = () => {
                 const { data } = await api.get(`/documents/${id}`);
                 setDocument(data);
                 setContent(data.content || '');
+                setDeletion(null);
             } catch (err) {
-                console.error('Failed to fetch document', err);
-                setError(err.response?.data?.message || 'Error loading document');
+                if (err.response?.status === 410) {
+                    setDeletion(err.response.data);
+                } else {
+                    console.error('Failed to fetch document', err);
+                    setError(err.response?.data?.message || 'Error loading document');
+                }
             } finally {
                 setLoading(false);
             }
@@ -67,110 +106,232 @@ const DocumentEditor = () => {
         fetchDocument();
     }, [id]);
 
-    // 2. Setup Socket Connection & Real-time Listeners
+    // Permission problems the server reports over the socket (see createDocumentSync)
+    const handleAccessError = ({ code, message }) => {
+        if (code === 'DELETED') {
+            setDeletion({ title: document?.title, owner: document?.owner?._id });
+        } else if (code === 'READ_ONLY') {
+            setSessionRole('viewer');
+            toast.error(message || 'You can no longer edit this document');
+        } else {
+            setAccessRevoked(true);
+        }
+    };
+
+    // With the document open in several tabs, only one of them saves (see useSaveRelay)
+    const isSaveLeader = useTabLeader(`document-save:${id}`, Boolean(document) && !isReadOnly);
+
+    // 2. Real-time sync: OT session while online, IndexedDB queue while offline
+    const {
+        socket, connection, isLive, resyncCount, pendingCount, syncConflict,
+        applyLocalChange, resolveConflict, reconnectNow, getRevision, save,
+    } = useDocumentSync({
+        documentId: id, document, user, quillRef, content, isReadOnly, isSaveLeader,
+        onRoleChange: setSessionRole, onAccessError: handleAccessError,
+    });
+
+    const collaborators = usePresence({ socket, enabled: isLive, documentId: id, quillRef });
+
+    const { threads, addThread, reply, setResolved, syncAnchors } = useComments({
+        socket, enabled: Boolean(document), documentId: id, quillRef, resyncKey: resyncCount, getRevision,
+    });
+    const openThreadCount = threads.filter(thread => !thread.resolved).length;
+
+    const { tags, createTag } = useTags();
+
+    const {
+        suggestions, isTrackingEdits, applyUntracked, acceptSuggestion, rejectSuggestion, acceptAll, rejectAll,
+    } = useSuggestions({ enabled: Boolean(document), suggesting, user, quillRef, onLocalChange: applyLocalChange });
+
+    // Sharing changes made by the owner while we have the document open
     useEffect(() => {
-        if (!document) return;
+        if (!socket) return;
+
+        const handlePermissionsUpdated = (updated) => {
+            const isStillOwner = updated.owner?._id === user?._id;
+            const share = updated.sharedWith?.find(s => s.userId?._id === user?._id);
+            if (!isStillOwner && !share) {
+                setAccessRevoked(true);
+                return;
+            }
 
-        // Connect to Socket server
-        const s = io(import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000');
-        setSocket(s);
+            setDocument(prev => ({ ...prev, owner: updated.owner, sharedWith: updated.sharedWith }));
+            setSessionRole(null); // The updated sharing list is now the freshest word on our role
+        };
 
-        // Join room
-        s.emit('join-document', id);
+        // Someone (possibly us in another tab) renamed the document
+        const handleRenamed = ({ documentId, title }) => {
+            if (documentId === id) setDocument(prev => ({ ...prev, title }));
+        };
 
-        // Listen for incoming changes
-        s.on('receive-changes', (incomingContent) => {
-            setContent(incomingContent);
-        });
+        // The owner moved the document to the trash: { documentId, title, deletedAt, deletedBy, owner }
+        const handleTrashed = (payload) => {
+            if (payload.documentId === id) setDeletion(payload);
+        };
 
-        // Cleanup on unmount (Back button or navigating away)
+        socket.on('permissions-updated', handlePermissionsUpdated);
+        socket.on('document-renamed', handleRenamed);
+        socket.on('document-trashed', handleTrashed);
         return () => {
-            // If user has edit rights, save state to backend before completely leaving room
-            if (s.connected && !isReadOnly && contentRef.current) {
-                console.log("Saving before disconnect...")
-                s.emit('save-document', {
-                    documentId: id,
-                    content: contentRef.current,
-                    savedBy: user?._id
-                });
-            }
-            s.disconnect();
+            socket.off('permissions-updated', handlePermissionsUpdated);
+            socket.off('document-renamed', handleRenamed);
+            socket.off('document-trashed', handleTrashed);
         };
-    }, [document, id, isReadOnly, user?._id]);
+    }, [socket, id, user?._id]);
 
-    // Editor Change Handler
-    const handleEditorChange = (newContent, delta, source, editor) => {
-        if (source !== 'user') return; // Only process actual user typing
+    // Let the user know when their own permissions change mid-session
+    const previousRoleRef = useRef(null);
+    useEffect(() => {
+        if (!document) return;
+        if (previousRoleRef.current && previousRoleRef.current !== userRole) {
+            toast(`Your role on this document is now ${userRole}`);
+        }
+        previousRoleRef.current = userRole;
+    }, [document, userRole]);
+
+    // 3. Autosave & unsaved-changes guards
+    // Always persist what the editor shows now; it may have been merged or restored since the last keystroke
+    const getEditorHtml = () => quillRef.current?.getEditor().getSemanticHTML() ?? content;
+    const saveLatest = async (options) => {
+        const result = await save(getEditorHtml(), options);
+        if (result.ok) syncAnchors(result.revision);
+        return result;
+    };
+    const { status: saveStatus, isDirty, markDirty, saveNow } = useAutosave({ enabled: isLive && !isReadOnly, save: saveLatest });
+    const { leaderStatus, notifyEdit, requestSave } = useSaveRelay({
+        documentId: id, enabled: Boolean(document) && !isReadOnly, isLeader: isSaveLeader, status: saveStatus, saveNow, markDirty,
+    });
+    // Follower tabs show the status of the tab that saves for them
+    const displayedSaveStatus = isSaveLeader ? saveStatus : leaderStatus;
+    const isSaving = displayedSaveStatus === 'saving';
+    // Nothing can be saved once access is gone or the document is trashed, so don't hold the user back
+    const hasUnsavedWork = (isDirty || pendingCount > 0) && !accessRevoked && !deletion;
+
+    useEffect(() => {
+        if (!hasUnsavedWork) return;
+        const handleBeforeUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+        };
+        window.addEventListener('beforeunload', handleBeforeUnload);
+        return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    }, [hasUnsavedWork]);
+
+    // Set by goBack once its save went through; this render's `hasUnsavedWork` doesn't know yet
+    const savedForLeavingRef = useRef(false);
+    const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+        !savedForLeavingRef.current && hasUnsavedWork && currentLocation.pathname !== nextLocation.pathname
+    );
 
+    // Editor Change Handler
+    const handleEditorChange = (newContent, delta, source) => {
+        // Remote deltas are applied straight to Quill, so keep state in sync for every source
         setContent(newContent);
 
-        // Broadcast changes immediately to others in room
-        if (socket) {
-            socket.emit('send-changes', { documentId: id, delta: newContent });
+        if (source !== 'user') return; // Only broadcast actual user typing
+
+        // Another tab of ours does the saving; it only needs to know there is something to save
+        if (isSaveLeader) markDirty();
+        else notifyEdit();
+
+        // Send just the delta; it is merged with concurrent edits from others, or queued while offline.
+        // While suggesting, useSuggestions sends it once it has been rewritten into tracked changes.
+        if (!isTrackingEdits()) applyLocalChange(delta);
+    };
+
+    // Replaces the whole document as a regular user edit so it syncs like typing would.
+    // The server already holds the new content, so Suggesting mode must not track it.
+    const replaceEditorContents = (html) => {
+        const editor = quillRef.current?.getEditor();
+        if (!editor) {
+            setContent(html);
+            return;
+        }
+        const nextContents = editor.clipboard.convert({ html });
+        applyUntracked(editor.getContents().diff(nextContents));
+    };
+
+    // Toast for a save that did not go through, based on the server's answer (or lack of one)
+    const reportSaveFailure = ({ reason, message }) => {
+        if (reason === 'offline') {
+            toast(`You're offline. Changes are kept on this device and will sync when you reconnect.`);
+        } else if (reason === 'conflict') {
+            toast.error('Someone else changed this document. Choose how to resolve the conflict.');
+        } else if (reason === 'timeout') {
+            toast.error('The server did not confirm the save. Please try again.');
+        } else {
+            toast.error(message || 'Error saving document');
         }
     };
 
     const handleManualSave = async () => {
         if (isReadOnly) return;
-        setIsSaving(true);
-        try {
-            // We only need to emit via socket since it handles both updating the master doc AND creating a version snapshot
-            socket?.emit('save-document', { documentId: id, content, savedBy: user?._id });
-            toast.success('Document saved explicitly');
-        } catch (err) {
-            console.error('Failed to save document', err);
-            toast.error('Error saving document');
-        } finally {
-            // Add a small delay to make the UI feel reactive
-            setTimeout(() => setIsSaving(false), 500);
+        // We only need to emit via socket since it handles both updating the master doc AND creating a version snapshot
+        const result = isSaveLeader ? await saveNow() : await requestSave();
+        if (result.ok) {
+            toast.success('Document saved');
+        } else {
+            reportSaveFailure(result);
         }
     };
 
-    const goBack = () => {
-        // Trigger save before navigating if not read only
-        if (!isReadOnly && socket) {
-            socket.emit('save-document', { documentId: id, content: contentRef.current, savedBy: user?._id });
+    const goBack = async () => {
+        // Flush pending edits first; if that fails the navigation blocker asks what to do
+        if (!isReadOnly) {
+            const result = await saveNow({ autosave: true });
+            savedForLeavingRef.current = result.ok && pendingCount === 0;
         }
         navigate('/');
+        savedForLeavingRef.current = false;
+    };
+
+    const handleSaveAndLeave = async () => {
+        const result = await saveNow({ autosave: true });
+        if (result.ok) {
+            blocker.proceed();
+        } else {
+            reportSaveFailure(result);
+        }
     };
 
-    const handleShare = async (e) => {
-        e.preventDefault();
-        if (!shareEmail.trim()) return;
+    // Applies a document returned by a sharing change (ours or, via the socket, someone else's)
+    const handleDocumentChange = (updated) => {
+        setDocument(prev => ({ ...prev, owner: updated.owner, sharedWith: updated.sharedWith }));
+        setSessionRole(null);
+        if (updated.owner?._id !== user?._id) {
+            setShowShareModal(false); // Only the owner manages sharing
+        }
+    };
 
-        setIsSharing(true);
+    const handleRename = async (title) => {
         try {
-            await api.post(`/documents/${id}/share`, { email: shareEmail, role: shareRole });
-            toast.success(`Successfully shared with ${shareEmail} as ${shareRole}`);
-            setShowShareModal(false);
-            setShareEmail('');
-            // Optionally fetch document again to update the sharing list if displayed
+            const { data } = await api.patch(`/documents/${id}`, { title });
+            setDocument(prev => ({ ...prev, title: data.title }));
+            return true;
         } catch (err) {
-            console.error('Failed to share document', err);
-            toast.error(err.response?.data?.message || 'Error sharing document');
-        } finally {
-            setIsSharing(false);
+            console.error('Failed to rename document', err);
+            toast.error(err.response?.data?.message || 'Error renaming document');
+            return false;
         }
     };
 
-    const fetchVersions = async (page = 1) => {
-        setIsLoadingVersions(true);
+    // Tags are personal, so anyone who can open the document may tag it
+    const handleTagsChange = async (tagIds) => {
         try {
-            const { data } = await api.get(`/documents/${id}/versions?page=${page}&limit=5`);
-            setVersions(data.versions);
-            setVersionPage(data.currentPage);
-            setVersionTotalPages(data.totalPages);
+            const { data } = await api.patch(`/documents/${id}/organize`, { tags: tagIds });
+            setDocument(prev => ({ ...prev, tags: data.tags }));
         } catch (err) {
-            console.error('Failed to fetch versions', err);
-            toast.error('Failed to load version history');
-        } finally {
-            setIsLoadingVersions(false);
+            console.error('Failed to update tags', err);
+            toast.error(err.response?.data?.message || 'Error updating tags');
         }
     };
 
+    const toggleSidePanel = (panel) => {
+        setSidePanel(prev => prev === panel ? null : panel);
+    };
+
     const handleOpenHistory = () => {
         setShowHistoryModal(true);
-        fetchVersions(1);
     };
 
     const handleRestoreVersion = async (versionId) => {
@@ -178,10 +339,7 @@ const DocumentEditor = () => {
         setIsRestoring(true);
         try {
             const { data } = await api.post(`/documents/${id}/versions/${versionId}/restore`);
-            setContent(data.document.content);
-            if (socket) {
-                socket.emit('send-changes', { documentId: id, delta: data.document.content });
-            }
+            replaceEditorContents(data.document.content || '');
             toast.success('Document restored successfully!');
             setShowHistoryModal(false);
         } catch (error) {
@@ -192,19 +350,60 @@ const DocumentEditor = () => {
         }
     };
 
+    // POST /documents/:id/restore (owner only)
+    const handleUndelete = async () => {
+        setIsUndeleting(true);
+        try {
+            await api.post(`/documents/${id}/restore`);
+            toast.success('Document restored');
+            onUndeleted();
+        } catch (err) {
+            console.error('Failed to restore document', err);
+            toast.error(err.response?.data?.message || 'Error restoring document');
+        } finally {
+            setIsUndeleting(false);
+        }
+    };
+
     if (loading) return <div className="loader">Loading document...</div>;
+    if (deletion) {
+        const canUndelete = isOwner || deletion.owner === user?._id;
+        return (
+            <div className="glass-card document-deleted">
+                <Trash2 size={40} color="var(--error)" />
+                <h2>This document was deleted</h2>
+                <p>
+                    {deletion.title ? `"${deletion.title}"` : 'It'} was moved to the trash
+                    {deletion.deletedBy?.username ? ` by ${deletion.deletedBy._id === user?._id ? 'you' : deletion.deletedBy.username}` : ''}
+                    {deletion.deletedAt ? ` on ${new Date(deletion.deletedAt).toLocaleDateString()}` : ''}.
+                    {canUndelete ? ' You can restore it until it is permanently deleted.' : ' Ask the owner to restore it if you still need it.'}
+                </p>
+                <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'center' }}>
+                    <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={() => navigate('/')}>
+                        Back to Dashboard
+                    </button>
+                    {canUndelete && (
+                        <button className="btn btn-primary" onClick={handleUndelete} disabled={isUndeleting}>
+                            <RotateCcw size={16} style={{ marginRight: '0.4rem' }} />
+                            {isUndeleting ? 'Restoring...' : 'Restore Document'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    }
     if (error) return <div className="auth-error" style={{ margin: '2rem' }}>{error}</div>;
     if (!document) return <div className="auth-error" style={{ margin: '2rem' }}>Document not found</div>;
-
-    // React-Quill Toolbar Modules Config
-    const modules = {
-        toolbar: [
-            [{ 'header': [1, 2, 3, 4, false] }],
-            ['bold', 'italic', 'underline', 'strike'],
-            [{ 'list': 'ordered' }, { 'list': 'bullet' }],
-            ['clean']
-        ],
-    };
+    if (accessRevoked) {
+        return (
+            <div className="auth-error" style={{ margin: '2rem' }}>
+                Your access to this document was removed by its owner.{' '}
+                <button className="btn" style={{ background: 'transparent', color: 'inherit', textDecoration: 'underline' }} onClick={() => navigate('/')}>
+                    Back to Dashboard
+                </button>
+            </div>
+        );
+    }
 
     return (
         <div className="editor-layout">
@@ -215,14 +414,35 @@ const DocumentEditor = () => {
                         <ArrowLeft size={20} />
                     </button>
                     <div className="editor-title-container">
-                        <h2>{document.title}</h2>
+                        <EditableTitle title={document.title} canEdit={canReview} onRename={handleRename} />
                         <span className={`role-badge ${userRole}`}>{userRole}</span>
+                        <TagPicker
+                            tags={tags}
+                            selectedIds={document.tags || []}
+                            onChange={handleTagsChange}
+                            onCreateTag={createTag}
+                        />
                     </div>
                 </div>
 
                 <div className="editor-header-right">
+                    <PresenceAvatars collaborators={collaborators} />
+
                     <span style={{ color: 'var(--text-muted)', fontSize: '0.85rem', display: 'flex', alignItems: 'center', marginRight: '1rem' }}>
-                        {socket?.connected ? <><CloudLightning size={14} color="var(--secondary)" style={{ marginRight: '4px' }} /> Syncing Real-Time</> : 'Offline'}
+                        <ConnectionStatus connection={connection} isLive={isLive} syncConflict={syncConflict} onRetry={reconnectNow} />
+                        {!isReadOnly && (
+                            <span
+                                className={`save-status ${displayedSaveStatus}`}
+                                title={isSaveLeader ? undefined : 'This document is open in another tab, which saves for both'}
+                            >
+                                {displayedSaveStatus === 'saving' ? 'Saving...' : displayedSaveStatus === 'unsaved' ? 'Unsaved changes' : 'Saved'}
+                            </span>
+                        )}
+                        {pendingCount > 0 && (
+                            <span className="pending-badge" title="Edits stored on this device until they reach the server">
+                                {pendingCount} pending
+                            </span>
+                        )}
                     </span>
 
                     {!isReadOnly && (
@@ -246,6 +466,44 @@ const DocumentEditor = () => {
                         </button>
                     )}
 
+                    {canReview && (
+                        <button
+                            className="btn"
+                            style={{ background: isSuggesting ? 'var(--primary)' : 'var(--surface)' }}
+                            title={isSuggesting ? 'Suggesting: edits are tracked for review' : 'Editing: changes apply directly'}
+                            onClick={() => setIsSuggesting(prev => !prev)}
+                        >
+                            <PenLine size={16} style={{ marginRight: '0.5rem' }} />
+                            {isSuggesting ? 'Suggesting' : 'Editing'}
+                        </button>
+                    )}
+
+                    <button
+                        className="btn"
+                        style={{ background: sidePanel === 'suggestions' ? 'var(--primary)' : 'var(--surface)' }}
+                        title="Suggestions"
+                        onClick={() => toggleSidePanel('suggestions')}
+                    >
+                        <GitPullRequest size={16} />
+                        {suggestions.length > 0 && <span style={{ marginLeft: '0.35rem' }}>{suggestions.length}</span>}
+                    </button>
+
+                    <button
+                        className="btn"
+                        style={{ background: sidePanel === 'comments' ? 'var(--primary)' : 'var(--surface)' }}
+                        title="Comments"
+                        onClick={() => toggleSidePanel('comments')}
+                    >
+                        <MessageSquare size={16} />
+                        {openThreadCount > 0 && <span style={{ marginLeft: '0.35rem' }}>{openThreadCount}</span>}
+                    </button>
+
+                    <ExportMenu title={document.title} getHtml={getEditorHtml} />
+
+                    <button className="btn" style={{ background: 'var(--surface)' }} title="Save as template" onClick={() => setShowSaveTemplate(true)}>
+                        <LayoutTemplate size={16} />
+                    </button>
+
                     <button className="btn" style={{ background: 'var(--surface)' }} title="Version History" onClick={handleOpenHistory}>
                         <History size={16} />
                     </button>
@@ -261,165 +519,92 @@ const DocumentEditor = () => {
                         value={content}
                         onChange={handleEditorChange}
                         modules={modules}
-                        readOnly={isReadOnly}
+                        readOnly={isReadOnly || Boolean(syncConflict)}
                         placeholder={isReadOnly ? "This document is empty." : "Start typing here..."}
                     />
                 </div>
+
+                {sidePanel === 'comments' && (
+                    <CommentsSidebar
+                        quillRef={quillRef}
+                        threads={threads}
+                        onAddThread={addThread}
+                        onReply={reply}
+                        onSetResolved={setResolved}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
+
+                {sidePanel === 'suggestions' && (
+                    <SuggestionsSidebar
+                        quillRef={quillRef}
+                        suggestions={suggestions}
+                        canReview={canReview}
+                        onAccept={acceptSuggestion}
+                        onReject={rejectSuggestion}
+                        onAcceptAll={acceptAll}
+                        onRejectAll={rejectAll}
+                        onClose={() => setSidePanel(null)}
+                    />
+                )}
             </main>
 
+            {syncConflict && (
+                <SyncConflictModal
+                    reason={syncConflict.reason}
+                    pendingCount={syncConflict.pendingCount}
+                    onResolve={resolveConflict}
+                />
+            )}
+
+            {blocker.state === 'blocked' && (
+                <UnsavedChangesModal
+                    isSaving={isSaving}
+                    onStay={() => blocker.reset()}
+                    onSaveAndLeave={handleSaveAndLeave}
+                    onLeave={() => blocker.proceed()}
+                />
+            )}
+
             {/* Share Document Modal */}
             {showShareModal && (
-                <div className="modal-overlay">
-                    <div className="glass-card modal-content">
-                        <div className="modal-header">
-                            <h2>Share Document</h2>
-                            <button className="btn-icon" onClick={() => setShowShareModal(false)}>
-                                <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
-                            </button>
-                        </div>
-
-                        <form onSubmit={handleShare}>
-                            <div className="input-group" style={{ marginBottom: '1rem' }}>
-                                <input
-                                    type="email"
-                                    placeholder="User's Email Address"
-                                    value={shareEmail}
-                                    onChange={(e) => setShareEmail(e.target.value)}
-                                    autoFocus
-                                    required
-                                />
-                            </div>
-
-                            <div style={{ marginBottom: '1.5rem' }}>
-                                <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
-                                    Permission Role
-                                </label>
-                                <select
-                                    value={shareRole}
-                                    onChange={(e) => setShareRole(e.target.value)}
-                                    style={{
-                                        width: '100%',
-                                        padding: '0.85rem 1rem',
-                                        background: 'rgba(15, 23, 42, 0.6)',
-                                        border: '1px solid var(--border)',
-                                        borderRadius: '8px',
-                                        color: 'var(--text-main)',
-                                        fontFamily: 'inherit',
-                                        fontSize: '0.95rem'
-                                    }}
-                                >
-                                    <option value="viewer">Viewer (Read-only)</option>
-                                    <option value="editor">Editor (Can edit)</option>
-                                </select>
-                            </div>
-
-                            <div className="modal-actions">
-                                <button type="button" className="btn" onClick={() => setShowShareModal(false)} style={{ background: 'transparent' }}>
-                                    Cancel
-                                </button>
-                                <button type="submit" className="btn btn-primary" disabled={isSharing || !shareEmail.trim()}>
-                                    {isSharing ? 'Sharing...' : 'Share Document'}
-                                </button>
-                            </div>
-                        </form>
-                    </div>
-                </div>
+                <ShareModal
+                    document={document}
+                    onDocumentChange={handleDocumentChange}
+                    onClose={() => setShowShareModal(false)}
+                />
+            )}
+
+            {showSaveTemplate && (
+                <SaveTemplateModal
+                    documentTitle={document.title}
+                    getContent={() => withoutSuggestions(getEditorHtml(), { accept: true })}
+                    onClose={() => setShowSaveTemplate(false)}
+                />
             )}
 
             {/* Version History Modal */}
             {showHistoryModal && (
-                <div className="modal-overlay">
-                    <div className="glass-card modal-content" style={{ maxWidth: '600px' }}>
-                        <div className="modal-header">
-                            <h2>Version History</h2>
-                            <button className="btn-icon" onClick={() => setShowHistoryModal(false)}>
-                                <span style={{ fontSize: '1.5rem', lineHeight: 1 }}>&times;</span>
-                            </button>
-                        </div>
-
-                        <div style={{ maxHeight: '400px', overflowY: 'auto', paddingRight: '0.5rem' }} className="custom-scrollbar">
-                            {isLoadingVersions ? (
-                                <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
-                                    <div className="loader" style={{ margin: '0 auto 1rem auto' }}></div>
-                                    Loading version history...
-                                </div>
-                            ) : versions.length === 0 ? (
-                                <div style={{ textAlign: 'center', padding: '3rem 1rem', color: 'var(--text-muted)' }}>
-                                    <History size={48} style={{ opacity: 0.2, margin: '0 auto 1rem auto', display: 'block' }} />
-                                    No version history found yet.<br />
-                                    <span style={{ fontSize: '0.85rem' }}>Save the document to create your first version snapshot!</span>
-                                </div>
-                            ) : (
-                                <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                                    {versions.map((ver, index) => (
-                                        <div
-                                            key={ver._id}
-                                            className="glass-card version-item"
-                                            style={{
-                                                padding: '1.25rem',
-                                                display: 'flex',
-                                                justifyContent: 'space-between',
-                                                alignItems: 'center',
-                                                borderLeft: index === 0 && versionPage === 1 ? '3px solid var(--primary)' : '1px solid var(--border)',
-                                                background: index === 0 && versionPage === 1 ? 'rgba(56, 189, 248, 0.05)' : 'rgba(30, 41, 59, 0.5)'
-                                            }}
-                                        >
-                                            <div>
-                                                <div style={{ fontWeight: '600', marginBottom: '0.35rem', color: index === 0 && versionPage === 1 ? 'var(--primary)' : 'var(--text-main)', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                                                    {new Date(ver.createdAt).toLocaleString(undefined, {
-                                                        weekday: 'short', month: 'short', day: 'numeric',
-                                                        hour: '2-digit', minute: '2-digit', second: '2-digit'
-                                                    })}
-                                                    {index === 0 && versionPage === 1 && <span className="role-badge owner" style={{ fontSize: '0.7rem', padding: '0.1rem 0.4rem' }}>Latest</span>}
-                                                </div>
-                                                <div style={{ fontSize: '0.85rem', color: 'var(--text-muted)', display: 'flex', alignItems: 'center' }}>
-                                                    <div style={{ width: '6px', height: '6px', borderRadius: '50%', background: 'var(--secondary)', display: 'inline-block', marginRight: '6px' }}></div>
-                                                    Saved by: <strong style={{ color: 'var(--text-light)', marginLeft: '4px' }}>{ver.savedBy?.username || 'Unknown'}</strong>
-                                                </div>
-                                            </div>
-                                            {!isReadOnly && (
-                                                <button
-                                                    className="btn btn-primary"
-                                                    style={{ padding: '0.5rem 1rem', fontSize: '0.85rem', opacity: index === 0 && versionPage === 1 ? 0.3 : 1 }}
-                                                    onClick={() => handleRestoreVersion(ver._id)}
-                                                    disabled={isRestoring || (index === 0 && versionPage === 1)}
-                                                    title={index === 0 && versionPage === 1 ? "This is the current version" : "Restore this version"}
-                                                >
-                                                    {isRestoring ? 'Restoring...' : 'Restore'}
-                                                </button>
-                                            )}
-                                        </div>
-                                    ))}
-                                </div>
-                            )}
-                        </div>
-
-                        {versionTotalPages > 1 && (
-                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem', paddingTop: '1rem', borderTop: '1px solid var(--border)' }}>
-                                <button
-                                    className="btn btn-icon"
-                                    disabled={versionPage === 1 || isLoadingVersions}
-                                    onClick={() => fetchVersions(versionPage - 1)}
-                                >
-                                    <ChevronLeft size={20} />
-                                </button>
-                                <span style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
-                                    Page {versionPage} of {versionTotalPages}
-                                </span>
-                                <button
-                                    className="btn btn-icon"
-                                    disabled={versionPage === versionTotalPages || isLoadingVersions}
-                                    onClick={() => fetchVersions(versionPage + 1)}
-                                >
-                                    <ChevronRight size={20} />
-                                </button>
-                            </div>
-                        )}
-                    </div>
-                </div>
+                <VersionHistoryModal
+                    documentId={id}
+                    documentTitle={document.title}
+                    authors={[document.owner, ...(document.sharedWith || []).map(s => s.userId)].filter(Boolean)}
+                    currentContent={content}
+                    isReadOnly={!canReview} // Restoring rewrites the whole document, which suggesters may not do
+                    isRestoring={isRestoring}
+                    onRestore={handleRestoreVersion}
+                    onClose={() => setShowHistoryModal(false)}
+                />
             )}
         </div>
     );
 };
 
+// The deleted view unmounts the editor, and the hooks above stay attached to the Quill
+// instance they found on mount. Restoring therefore starts the whole page over.
+const DocumentEditor = () => {
+    const [restoreCount, setRestoreCount] = useState(0);
+    return <DocumentEditorContent key={restoreCount} onUndeleted={() => setRestoreCount(count => count + 1)} />;
+};
+
 export default DocumentEditor;
@@ -0,0 +1,246 @@
+import React, { useState, useContext } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { Mail, Lock } from 'lucide-react';
+import api from '../api/axios';
+import OtpCodeInput from '../components/OtpCodeInput';
+import toast from 'react-hot-toast';
+import { useCountdown } from '../hooks/useCountdown';
+
+// Used when the server doesn't say how long the code lives or when we may ask again
+const DEFAULT_OTP_TTL_SECONDS = 10 * 60;
+const DEFAULT_RESEND_COOLDOWN_SECONDS = 60;
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Same email -> OTP -> details steps as Register, with purpose 'reset':
+//   POST /auth/send-otp { email, purpose }          -> { expiresIn, resendIn } (seconds; same answer for unknown emails)
+//   POST /auth/verify-otp { email, otp, purpose }   -> { resetToken }
+//   POST /auth/reset-password { email, resetToken, password }
+// A reset revokes every refresh token of the account, signing it out everywhere.
+const ForgotPassword = () => {
+    // Step State: 1 = Email, 2 = OTP, 3 = New password
+    const [step, setStep] = useState(1);
+
+    // Form State
+    const location = useLocation();
+    const [email, setEmail] = useState(location.state?.email || '');
+    const [otp, setOtp] = useState('');
+    const [resetToken, setResetToken] = useState(null);
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const [expiresAt, setExpiresAt] = useState(null);
+    const [resendAt, setResendAt] = useState(null);
+    const secondsUntilExpiry = useCountdown(expiresAt);
+    const secondsUntilResend = useCountdown(resendAt);
+    const isCodeExpired = Boolean(expiresAt) && secondsUntilExpiry === 0;
+
+    const { user, logout } = useContext(AuthContext);
+    const navigate = useNavigate();
+
+    const handleError = (err, defaultMsg) => {
+        if (err.response?.data?.errors && Array.isArray(err.response.data.errors)) {
+            const messages = err.response.data.errors.map(e => e.message).join(', ');
+            setError(`Validation error: ${messages}`);
+        } else if (err.response?.status === 429) {
+            setError(err.response.data?.message || 'Too many attempts. Please wait a moment and try again.');
+        } else {
+            setError(err.response?.data?.message || defaultMsg);
+        }
+    };
+
+    const sendCode = async () => {
+        const { data } = await api.post('/auth/send-otp', { email, purpose: 'reset' });
+        setExpiresAt(Date.now() + (data?.expiresIn ?? DEFAULT_OTP_TTL_SECONDS) * 1000);
+        setResendAt(Date.now() + (data?.resendIn ?? DEFAULT_RESEND_COOLDOWN_SECONDS) * 1000);
+        setOtp('');
+    };
+
+    const handleSendOTP = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError(null);
+        try {
+            await sendCode();
+            toast.success('If an account uses this email, a reset code is on its way');
+            setStep(2);
+        } catch (err) {
+            handleError(err, 'Failed to send reset code');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleResend = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            await sendCode();
+            toast.success('A new code was sent');
+        } catch (err) {
+            handleError(err, 'Failed to resend code');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleVerifyOTP = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError(null);
+        try {
+            const { data } = await api.post('/auth/verify-otp', { email, otp, purpose: 'reset' });
+            setResetToken(data.resetToken);
+            toast.success('Code verified!');
+            setStep(3);
+        } catch (err) {
+            if (err.response?.status === 410) {
+                setExpiresAt(Date.now()); // The server's clock wins
+                setError('This code has expired. Request a new one.');
+            } else {
+                handleError(err, 'Invalid code');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleResetPassword = async (e) => {
+        e.preventDefault();
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+        setIsLoading(true);
+        setError(null);
+        try {
+            await api.post('/auth/reset-password', { email, resetToken, password });
+            // Our own session was revoked with the others; drop it here and in every other tab
+            if (user) logout();
+            toast.success('Password updated. You were signed out on all devices.');
+            navigate('/login', { replace: true, state: { ...location.state, email } });
+        } catch (err) {
+            if (err.response?.status === 410) {
+                // The reset window closed; verify the email again
+                setStep(2);
+                setExpiresAt(Date.now());
+                setError('Your reset session expired. Request a new code to continue.');
+            } else {
+                handleError(err, 'Failed to reset password');
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-container">
+            <div className="glass-card auth-card">
+                <h1 className="auth-title">Reset Password</h1>
+                <p className="auth-subtitle">
+                    {step === 1 && "Enter your email and we'll send you a reset code"}
+                    {step === 2 && `Enter the 6-digit code sent to ${email}`}
+                    {step === 3 && "Choose a new password"}
+                </p>
+
+                {error && <div className="auth-error">{error}</div>}
+
+                {step === 1 && (
+                    <form onSubmit={handleSendOTP} className="auth-form">
+                        <div className="input-group">
+                            <Mail className="input-icon" />
+                            <input
+                                type="email"
+                                placeholder="Email Address"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                required
+                                autoComplete="username"
+                                autoFocus
+                            />
+                        </div>
+                        <button type="submit" disabled={isLoading} className="btn btn-primary btn-block">
+                            {isLoading ? 'Sending Code...' : 'Send Reset Code'}
+                        </button>
+                    </form>
+                )}
+
+                {step === 2 && (
+                    <form onSubmit={handleVerifyOTP} className="auth-form">
+                        <OtpCodeInput value={otp} onChange={setOtp} placeholder="6-digit code" />
+                        <p className={`otp-expiry ${isCodeExpired ? 'expired' : ''}`}>
+                            {isCodeExpired
+                                ? 'This code has expired. Request a new one below.'
+                                : `Code expires in ${formatSeconds(secondsUntilExpiry)}`}
+                        </p>
+                        <button type="submit" disabled={isLoading || otp.length !== 6 || isCodeExpired} className="btn btn-primary btn-block">
+                            {isLoading ? 'Verifying...' : 'Verify Code'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-block"
+                            style={{ background: 'transparent', border: '1px solid var(--border)', marginTop: '-0.5rem' }}
+                            onClick={handleResend}
+                            disabled={isLoading || secondsUntilResend > 0}
+                        >
+                            {secondsUntilResend > 0 ? `Resend code in ${secondsUntilResend}s` : 'Resend Code'}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-block"
+                            style={{ background: 'transparent', marginTop: '-0.5rem' }}
+                            onClick={() => setStep(1)}
+                            disabled={isLoading}
+                        >
+                            Change Email
+                        </button>
+                    </form>
+                )}
+
+                {step === 3 && (
+                    <form onSubmit={handleResetPassword} className="auth-form">
+                        <div className="input-group">
+                            <Lock className="input-icon" />
+                            <input
+                                type="password"
+                                placeholder="New Password (min 6 chars)"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                minLength={6}
+                                autoComplete="new-password"
+                                autoFocus
+                            />
+                        </div>
+                        <div className="input-group">
+                            <Lock className="input-icon" />
+                            <input
+                                type="password"
+                                placeholder="Confirm New Password"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                required
+                                minLength={6}
+                                autoComplete="new-password"
+                            />
+                        </div>
+                        <p className="otp-expiry">Resetting your password signs you out on every device.</p>
+                        <button type="submit" disabled={isLoading} className="btn btn-primary btn-block">
+                            {isLoading ? 'Updating Password...' : 'Reset Password'}
+                        </button>
+                    </form>
+                )}
+
+                <div className="auth-footer" style={{ marginTop: '2rem' }}>
+                    Remembered it? <Link to="/login" state={location.state}>Sign in</Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
@@ -1,75 +1,214 @@
 import React, { useState, useContext } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
-import { Mail, Lock } from 'lucide-react';
+import { Mail, Lock, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+import OtpCodeInput from '../components/OtpCodeInput';
+import { useCountdown } from '../hooks/useCountdown';
+
+const DEFAULT_RESEND_COOLDOWN_SECONDS = 60;
 
 const Login = () => {
-    const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
 
-    const { login } = useContext(AuthContext);
+    // Second step, when the account has two-factor sign-in: { challengeToken, method }
+    const [challenge, setChallenge] = useState(null);
+    const [code, setCode] = useState('');
+    const [useBackupCode, setUseBackupCode] = useState(false);
+    const [resendAt, setResendAt] = useState(null);
+    const secondsUntilResend = useCountdown(resendAt);
+
+    const { login, verifyTwoFactor, user } = useContext(AuthContext);
     const navigate = useNavigate();
+    const location = useLocation();
+    // Prefilled when coming back from a password reset
+    const [email, setEmail] = useState(location.state?.email || '');
+
+    // Pages that send users here (e.g. a share link) pass where to return afterwards
+    const redirectTo = location.state?.from || '/';
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         setIsLoading(true);
         setError(null);
         try {
-            await login(email, password);
-            navigate('/');
+            const data = await login(email, password);
+            if (data.twoFactorRequired) {
+                setChallenge({ challengeToken: data.challengeToken, method: data.method });
+                setCode('');
+                setUseBackupCode(false);
+                if (data.method === 'email') {
+                    setResendAt(Date.now() + (data.resendIn ?? DEFAULT_RESEND_COOLDOWN_SECONDS) * 1000);
+                }
+                return;
+            }
+            navigate(redirectTo, { replace: true });
+        } catch (err) {
+            handleError(err, 'Invalid credentials');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleVerifyCode = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError(null);
+        try {
+            await verifyTwoFactor(challenge.challengeToken, useBackupCode ? { backupCode: code.trim() } : { code });
+            navigate(redirectTo, { replace: true });
         } catch (err) {
-            // Handle specifically formatted Zod validation errors from backend
-            if (err.response?.data?.errors && Array.isArray(err.response.data.errors)) {
-                const messages = err.response.data.errors.map(e => e.message).join(', ');
-                setError(`Validation error: ${messages}`);
+            if (err.response?.status === 410) {
+                // The challenge timed out; start over from the password
+                setChallenge(null);
+                setError('Your sign-in attempt expired. Please sign in again.');
             } else {
-                setError(err.response?.data?.message || 'Invalid credentials');
+                handleError(err, 'Invalid code');
             }
         } finally {
             setIsLoading(false);
         }
     };
 
+    // POST /auth/2fa/resend { challengeToken } -> { resendIn }
+    const handleResendCode = async () => {
+        setError(null);
+        try {
+            const { data } = await api.post('/auth/2fa/resend', { challengeToken: challenge.challengeToken });
+            setResendAt(Date.now() + (data?.resendIn ?? DEFAULT_RESEND_COOLDOWN_SECONDS) * 1000);
+            toast.success('A new code was sent to your email');
+        } catch (err) {
+            handleError(err, 'Failed to resend code');
+        }
+    };
+
+    const handleError = (err, defaultMsg) => {
+        // Handle specifically formatted Zod validation errors from backend
+        if (err.response?.data?.errors && Array.isArray(err.response.data.errors)) {
+            const messages = err.response.data.errors.map(e => e.message).join(', ');
+            setError(`Validation error: ${messages}`);
+        } else {
+            setError(err.response?.data?.message || defaultMsg);
+        }
+    };
+
+    const cancelChallenge = () => {
+        setChallenge(null);
+        setPassword('');
+        setError(null);
+    };
+
+    // Signed in meanwhile, e.g. from another tab
+    if (user) return <Navigate to={redirectTo} replace />;
+
     return (
         <div className="auth-container">
             <div className="glass-card auth-card">
                 <h1 className="auth-title">Welcome Back</h1>
-                <p className="auth-subtitle">Sign in to CollabDocs</p>
+                <p className="auth-subtitle">
+                    {!challenge && 'Sign in to CollabDocs'}
+                    {challenge && useBackupCode && 'Enter one of your backup codes'}
+                    {challenge && !useBackupCode && (challenge.method === 'email'
+                        ? `Enter the 6-digit code sent to ${email}`
+                        : 'Enter the 6-digit code from your authenticator app')}
+                </p>
 
                 {error && <div className="auth-error">{error}</div>}
 
-                <form onSubmit={handleSubmit} className="auth-form">
-                    <div className="input-group">
-                        <Mail className="input-icon" />
-                        <input
-                            type="email"
-                            placeholder="Email"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            required
-                            autoComplete="username"
-                        />
-                    </div>
-                    <div className="input-group">
-                        <Lock className="input-icon" />
-                        <input
-                            type="password"
-                            placeholder="Password"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            required
-                            autoComplete="current-password"
-                        />
-                    </div>
-                    <button type="submit" disabled={isLoading} className="btn btn-primary btn-block">
-                        {isLoading ? 'Signing In...' : 'Login'}
-                    </button>
-                </form>
+                {challenge ? (
+                    <form onSubmit={handleVerifyCode} className="auth-form">
+                        {useBackupCode ? (
+                            <div className="input-group">
+                                <KeyRound className="input-icon" />
+                                <input
+                                    type="text"
+                                    placeholder="Backup code"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    required
+                                    autoComplete="off"
+                                    autoFocus
+                                />
+                            </div>
+                        ) : (
+                            <OtpCodeInput value={code} onChange={setCode} placeholder="6-digit code" />
+                        )}
+                        <button
+                            type="submit"
+                            disabled={isLoading || (useBackupCode ? !code.trim() : code.length !== 6)}
+                            className="btn btn-primary btn-block"
+                        >
+                            {isLoading ? 'Verifying...' : 'Verify'}
+                        </button>
+                        {challenge.method === 'email' && (
+                            <button
+                                type="button"
+                                className="btn btn-block"
+                                style={{ background: 'transparent', border: '1px solid var(--border)', marginTop: '-0.5rem' }}
+                                onClick={handleResendCode}
+                                disabled={isLoading || secondsUntilResend > 0}
+                            >
+                                {secondsUntilResend > 0 ? `Resend code in ${secondsUntilResend}s` : 'Resend Code'}
+                            </button>
+                        )}
+                        {challenge.method === 'totp' && (
+                            <button
+                                type="button"
+                                className="btn btn-block"
+                                style={{ background: 'transparent', marginTop: '-0.5rem' }}
+                                onClick={() => { setUseBackupCode(!useBackupCode); setCode(''); }}
+                            >
+                                {useBackupCode ? 'Use authenticator app' : 'Use a backup code instead'}
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            className="btn btn-block"
+                            style={{ background: 'transparent', marginTop: '-0.5rem' }}
+                            onClick={cancelChallenge}
+                            disabled={isLoading}
+                        >
+                            Back to Sign In
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="input-group">
+                            <Mail className="input-icon" />
+                            <input
+                                type="email"
+                                placeholder="Email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                required
+                                autoComplete="username"
+                            />
+                        </div>
+                        <div className="input-group">
+                            <Lock className="input-icon" />
+                            <input
+                                type="password"
+                                placeholder="Password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                autoComplete="current-password"
+                            />
+                        </div>
+                        <Link to="/forgot-password" state={{ ...location.state, email }} className="forgot-password-link">
+                            Forgot password?
+                        </Link>
+                        <button type="submit" disabled={isLoading} className="btn btn-primary btn-block">
+                            {isLoading ? 'Signing In...' : 'Login'}
+                        </button>
+                    </form>
+                )}
 
                 <div className="auth-footer">
-                    Don't have an account? <Link to="/register">Sign up</Link>
+                    Don't have an account? <Link to="/register" state={location.state}>Sign up</Link>
                 </div>
             </div>
         </div>
@@ -1,8 +1,9 @@
 import React, { useState, useContext } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
-import { Mail, Lock, User as UserIcon, KeyRound } from 'lucide-react';
+import { Mail, Lock, User as UserIcon } from 'lucide-react';
 import api from '../api/axios';
+import OtpCodeInput from '../components/OtpCodeInput';
 import toast from 'react-hot-toast';
 
 const Register = () => {
@@ -18,8 +19,9 @@ const Register = () => {
     const [error, setError] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
 
-    const { register } = useContext(AuthContext);
+    const { register, user } = useContext(AuthContext);
     const navigate = useNavigate();
+    const location = useLocation();
 
     const handleSendOTP = async (e) => {
         e.preventDefault();
@@ -58,7 +60,7 @@ const Register = () => {
         try {
             await register(username, email, password);
             toast.success('Account created successfully!');
-            navigate('/');
+            navigate(location.state?.from || '/', { replace: true });
         } catch (err) {
             handleError(err, 'Registration failed');
         } finally {
@@ -75,6 +77,9 @@ const Register = () => {
         }
     };
 
+    // Signed in meanwhile, e.g. from another tab
+    if (user) return <Navigate to={location.state?.from || '/'} replace />;
+
     return (
         <div className="auth-container">
             <div className="glass-card auth-card">
@@ -109,20 +114,7 @@ const Register = () => {
 
                 {step === 2 && (
                     <form onSubmit={handleVerifyOTP} className="auth-form">
-                        <div className="input-group">
-                            <KeyRound className="input-icon" />
-                            <input
-                                type="text"
-                                placeholder="6-digit OTP"
-                                value={otp}
-                                onChange={(e) => setOtp(e.target.value)}
-                                required
-                                maxLength={6}
-                                pattern="[0-9]{6}"
-                                title="Please enter exactly 6 digits"
-                                autoFocus
-                            />
-                        </div>
+                        <OtpCodeInput value={otp} onChange={setOtp} />
                         <button type="submit" disabled={isLoading || otp.length !== 6} className="btn btn-primary btn-block">
                             {isLoading ? 'Verifying...' : 'Verify Email'}
                         </button>
@@ -172,7 +164,7 @@ const Register = () => {
                 )}
 
                 <div className="auth-footer" style={{ marginTop: '2rem' }}>
-                    Already have an account? <Link to="/login">Sign in</Link>
+                    Already have an account? <Link to="/login" state={location.state}>Sign in</Link>
                 </div>
             </div>
         </div>
@@ -0,0 +1,228 @@
+import React, { useState, useContext, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, User as UserIcon, Lock, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import api, { setTokens } from '../api/axios';
+import UserAvatar from '../components/UserAvatar';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../components/ActiveSessions';
+
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+// PATCH  /auth/profile { username }        -> user
+// POST   /auth/avatar (multipart 'avatar') -> { avatarUrl }
+// DELETE /auth/avatar
+const ProfileSection = () => {
+    const { user, updateUser } = useContext(AuthContext);
+    const [username, setUsername] = useState(user.username);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isUploading, setIsUploading] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            const { data } = await api.patch('/auth/profile', { username: username.trim() });
+            updateUser({ username: data.username });
+            toast.success('Profile updated');
+        } catch (err) {
+            console.error('Failed to update profile', err);
+            toast.error(err.response?.data?.message || 'Error updating profile');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAvatarSelected = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Picking the same file again should still fire
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            toast.error('Choose an image file');
+            return;
+        }
+        if (file.size > MAX_AVATAR_BYTES) {
+            toast.error('Images must be 2 MB or smaller');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('avatar', file);
+        setIsUploading(true);
+        try {
+            const { data } = await api.post('/auth/avatar', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+            updateUser({ avatarUrl: data.avatarUrl });
+            toast.success('Avatar updated');
+        } catch (err) {
+            console.error('Failed to upload avatar', err);
+            toast.error(err.response?.data?.message || 'Error uploading avatar');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleRemoveAvatar = async () => {
+        try {
+            await api.delete('/auth/avatar');
+            updateUser({ avatarUrl: null });
+        } catch (err) {
+            console.error('Failed to remove avatar', err);
+            toast.error(err.response?.data?.message || 'Error removing avatar');
+        }
+    };
+
+    return (
+        <section className="glass-card settings-section">
+            <h2>Profile</h2>
+            <div className="avatar-editor">
+                <UserAvatar user={user} className="avatar-large" />
+                <div className="settings-actions" style={{ marginTop: 0 }}>
+                    <input ref={fileInputRef} type="file" accept="image/*" hidden onChange={handleAvatarSelected} />
+                    <button className="btn" style={{ background: 'rgba(255,255,255,0.1)' }} onClick={() => fileInputRef.current.click()} disabled={isUploading}>
+                        <Upload size={16} style={{ marginRight: '0.4rem' }} />
+                        {isUploading ? 'Uploading...' : 'Upload Picture'}
+                    </button>
+                    {user.avatarUrl && (
+                        <button className="btn" style={{ background: 'transparent' }} onClick={handleRemoveAvatar}>
+                            Remove
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <form onSubmit={handleSaveProfile} className="auth-form" style={{ marginTop: '1.25rem' }}>
+                <div className="input-group">
+                    <UserIcon className="input-icon" />
+                    <input
+                        type="text"
+                        placeholder="Username"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        required
+                        minLength={3}
+                        autoComplete="username"
+                    />
+                </div>
+                <div className="settings-actions" style={{ marginTop: 0 }}>
+                    <button type="submit" className="btn btn-primary" disabled={isSaving || username.trim() === user.username}>
+                        {isSaving ? 'Saving...' : 'Save Profile'}
+                    </button>
+                </div>
+            </form>
+        </section>
+    );
+};
+
+// POST /auth/change-password { currentPassword, newPassword } -> { token, refreshToken }
+// The server signs out every other session and hands this one fresh tokens.
+const PasswordSection = () => {
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (newPassword !== confirmPassword) {
+            toast.error('Passwords do not match');
+            return;
+        }
+        setIsSaving(true);
+        try {
+            const { data } = await api.post('/auth/change-password', { currentPassword, newPassword });
+            setTokens(data);
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+            toast.success('Password changed. Other devices were signed out.');
+        } catch (err) {
+            console.error('Failed to change password', err);
+            toast.error(err.response?.data?.message || 'Error changing password');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <section className="glass-card settings-section">
+            <h2>Password</h2>
+            <form onSubmit={handleSubmit} className="auth-form">
+                <div className="input-group">
+                    <Lock className="input-icon" />
+                    <input
+                        type="password"
+                        placeholder="Current password"
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        required
+                        autoComplete="current-password"
+                    />
+                </div>
+                <div className="input-group">
+                    <Lock className="input-icon" />
+                    <input
+                        type="password"
+                        placeholder="New password (min 6 chars)"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        required
+                        minLength={6}
+                        autoComplete="new-password"
+                    />
+                </div>
+                <div className="input-group">
+                    <Lock className="input-icon" />
+                    <input
+                        type="password"
+                        placeholder="Confirm new password"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        required
+                        minLength={6}
+                        autoComplete="new-password"
+                    />
+                </div>
+                <div className="settings-actions" style={{ marginTop: 0 }}>
+                    <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                        {isSaving ? 'Changing...' : 'Change Password'}
+                    </button>
+                </div>
+            </form>
+        </section>
+    );
+};
+
+const Settings = () => {
+    const { user } = useContext(AuthContext);
+
+    return (
+        <div className="dashboard-container settings-container">
+            <div className="dashboard-header">
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                    <Link to="/" className="btn-icon" title="Back to Dashboard">
+                        <ArrowLeft size={20} />
+                    </Link>
+                    <h1>Account Settings</h1>
+                </div>
+                <span style={{ color: 'var(--text-muted)' }}>{user?.email}</span>
+            </div>
+
+            <ProfileSection />
+            <PasswordSection />
+
+            <section className="glass-card settings-section">
+                <h2>Two-factor sign-in</h2>
+                <TwoFactorSettings />
+            </section>
+
+            <section className="glass-card settings-section">
+                <h2>Active sessions</h2>
+                <ActiveSessions />
+            </section>
+        </div>
+    );
+};
+
+export default Settings;
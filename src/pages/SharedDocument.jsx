@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import api from '../api/axios';
+import 'react-quill-new/dist/quill.snow.css';
+import { ArrowLeft, Edit3, LogIn } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { withoutSuggestions } from '../utils/richTextDiff';
+
+// Public view of a document opened through a share link (/s/:token). Works
+// without an account; editor links hand signed-in users over to the editor.
+const SharedDocument = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const { user } = useContext(AuthContext);
+
+    const [share, setShare] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isJoining, setIsJoining] = useState(false);
+
+    useEffect(() => {
+        const fetchSharedDocument = async () => {
+            try {
+                const { data } = await api.get(`/share/${token}`);
+                setShare(data);
+            } catch (err) {
+                console.error('Failed to open share link', err);
+                const status = err.response?.status;
+                setError(status === 404 || status === 410
+                    ? 'This link has expired or was revoked by the document owner.'
+                    : err.response?.data?.message || 'Failed to open shared document');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchSharedDocument();
+    }, [token]);
+
+    const handleOpenInEditor = async () => {
+        if (!user) {
+            navigate('/login', { state: { from: `/s/${token}` } });
+            return;
+        }
+
+        setIsJoining(true);
+        try {
+            const { data } = await api.post(`/share/${token}/accept`);
+            navigate(`/d/${data.documentId}`);
+        } catch (err) {
+            console.error('Failed to accept share link', err);
+            toast.error(err.response?.data?.message || 'Could not open the document for editing');
+            setIsJoining(false);
+        }
+    };
+
+    if (loading) return <div className="loader">Loading document...</div>;
+    if (error) {
+        return (
+            <div className="auth-error" style={{ margin: '2rem' }}>
+                {error}{' '}
+                <button className="btn" style={{ background: 'transparent', color: 'inherit', textDecoration: 'underline' }} onClick={() => navigate('/')}>
+                    Go to CollabDocs
+                </button>
+            </div>
+        );
+    }
+
+    const { document, role } = share;
+    const canEdit = role === 'editor';
+
+    return (
+        <div className="editor-layout">
+            <header className="editor-header glass-card">
+                <div className="editor-header-left">
+                    {user && (
+                        <button onClick={() => navigate('/')} className="btn-icon" title="Back to Dashboard">
+                            <ArrowLeft size={20} />
+                        </button>
+                    )}
+                    <div className="editor-title-container">
+                        <h2>{document.title}</h2>
+                        <span className="role-badge viewer">view only</span>
+                    </div>
+                </div>
+
+                <div className="editor-header-right">
+                    <span className="shared-document-notice">
+                        Shared by {document.owner?.username || 'the owner'}
+                        {share.expiresAt && ` · link expires ${new Date(share.expiresAt).toLocaleDateString()}`}
+                    </span>
+
+                    {canEdit && (
+                        <button className="btn btn-primary" onClick={handleOpenInEditor} disabled={isJoining}>
+                            {user ? (
+                                <><Edit3 size={16} style={{ marginRight: '0.5rem' }} /> {isJoining ? 'Opening...' : 'Open in editor'}</>
+                            ) : (
+                                <><LogIn size={16} style={{ marginRight: '0.5rem' }} /> Sign in to edit</>
+                            )}
+                        </button>
+                    )}
+                </div>
+            </header>
+
+            <main className="editor-main">
+                <div className="editor-canvas ql-snow">
+                    <div className="ql-editor" dangerouslySetInnerHTML={{ __html: withoutSuggestions(document.content) }} />
+                </div>
+            </main>
+        </div>
+    );
+};
+
+export default SharedDocument;
@@ -0,0 +1,478 @@
+import Delta from 'quill-delta';
+import api from '../api/axios';
+import { createSocket, isAuthError } from '../api/socket';
+import { createOTClient } from './otClient';
+import { loadPendingChanges, savePendingChanges, clearPendingChanges } from './offlineQueue';
+
+const SAVE_TIMEOUT_MS = 10000;
+const JOIN_TIMEOUT_MS = 10000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Owns the socket for one open document: the OT session while connected, the
+// IndexedDB queue while disconnected, and reconciliation in between.
+//
+// Edits are routed to the offline queue from the moment the socket drops until
+// the queue has been reconciled against a fresh copy from the server. If the
+// server moved on while we were away, or rejects a save as stale, `onConflict`
+// is raised and nothing is sent until the caller picks a resolution via
+// `resolveConflict`.
+//
+// The server identifies us from the socket handshake and checks every event against
+// our current role:
+//   emit 'join-document' { documentId, opId? }, ack { ok: true, role, opApplied } | { ok: false, code, message }
+//   emit 'send-changes' { documentId, revision, delta, opId }, ack { ok: true }
+//   acks of 'send-changes' and 'save-document' may be { ok: false, code, message } too
+//   on   'access-changed' { documentId, role } (role null once our access is gone)
+// `code` is 'READ_ONLY' (we may no longer edit), 'FORBIDDEN' | 'NOT_FOUND' (no access at
+// all) or 'DELETED' (the document is in the trash). Role changes go to `onRoleChange`,
+// lost permissions to `onAccessError({ code, message })`; either way editing stops.
+// Suggesters may only propose changes: the server rejects with 'SUGGEST_ONLY' a
+// 'send-changes' delta that inserts unmarked text, or deletes or reformats anything but
+// their own pending insertions (see trackChange). We drop that change and carry on from
+// the server's copy.
+//
+// The connection moves through these states, reported to `onConnectionChange`:
+//   { status: 'connecting', rejoining }  socket connecting or (re)joining the room
+//   { status: 'live' }                   in the room; the OT session runs unless a conflict holds it
+//   { status: 'reconnecting', attempt, retryAt }  dropped; retrying with exponential backoff
+//   { status: 'offline' }                the browser has no network; retries wait for it to return
+//   { status: 'unauthorized' }           the server rejected our token even after a refresh; nothing
+//                                        is retried until `reconnectNow`
+// Every time the room is joined again after a drop, content is resynced with the server
+// (see reconcile) and `onResync` fires so other state can be refetched.
+//
+// Each sent delta carries an `opId` the server remembers. A delta still waiting for its ack
+// when the socket drops is queued with its id (`pending.inFlight`), and the next join asks
+// whether the server applied it (`opApplied`), so it is neither replayed twice nor mistaken
+// for someone else's edit.
+export const createDocumentSync = ({
+    documentId,
+    userId,
+    revision,
+    getEditor,
+    onConnectionChange,
+    onSessionChange,
+    onPendingChange,
+    onConflict,
+    onRoleChange,
+    onAccessError,
+    onResync,
+    onError,
+}) => {
+    const socket = createSocket({
+        reconnection: false, // Reconnects are scheduled below
+        // Our session was refreshed, yet the server still won't take it for this connection
+        onAuthFailed: () => {
+            onSessionChange(false);
+            onConnectionChange({ status: 'unauthorized' });
+            onError('The server did not accept your sign-in for live editing. Reload the page or sign in again.');
+        },
+    });
+    const initialContents = getEditor()?.getContents() || new Delta();
+
+    let client = null;     // OT session; null while offline or reconciling
+    let pending = null;    // Offline edits not yet reconciled with the server
+    let conflict = null;   // { base, changes } waiting on the user to pick a resolution
+    let hasSynced = false;
+    let destroyed = false;
+    let attempt = 0;       // Reconnect attempts since the last successful connection
+    let retryTimer = null;
+    let inFlightOpId = null; // `opId` of the OT client's outstanding delta
+    const revisionWaiters = new Set(); // See waitForRevision
+
+    const persistPending = () => {
+        onPendingChange(pending?.count || 0);
+        const request = pending?.count ? savePendingChanges(pending) : clearPendingChanges(documentId);
+        request.catch(err => console.error('Failed to persist offline changes', err));
+    };
+
+    const ensurePending = () => {
+        if (!pending) {
+            pending = {
+                documentId,
+                userId,
+                baseRevision: client ? client.getRevision() : revision,
+                baseContents: (client ? client.getServerContents() : initialContents).ops,
+                changes: [],
+                count: 0,
+            };
+        }
+        return pending;
+    };
+
+    const queueChange = (delta) => {
+        const entry = ensurePending();
+        entry.changes = new Delta(entry.changes).compose(new Delta(delta)).ops;
+        entry.count += 1;
+        entry.updatedAt = Date.now();
+        persistPending();
+    };
+
+    // Edits saved by a previous visit (reload, crash) are shown straight away and reconciled on connect
+    const restored = loadPendingChanges(documentId, userId)
+        .then((entry) => {
+            if (destroyed || !entry?.count) return;
+            pending = entry;
+            const editor = getEditor();
+            const local = new Delta(entry.baseContents).compose(new Delta(entry.changes));
+            editor?.updateContents(editor.getContents().diff(local), 'api');
+            onPendingChange(entry.count);
+        })
+        .catch(err => console.error('Failed to load offline changes', err));
+
+    // The session is over as far as the server is concerned; stop sending anything
+    const loseAccess = (error) => {
+        client = null;
+        onSessionChange(false);
+        onAccessError(error);
+        if (error.code === 'READ_ONLY') followServer();
+    };
+
+    // Drop what the server refused and follow its copy; read-only access still gets live updates
+    const followServer = async () => {
+        try {
+            const { serverRevision, serverContents } = await fetchServerCopy();
+            if (destroyed || !socket.connected) return;
+            resume(serverRevision, serverContents, null);
+        } catch (err) {
+            console.error('Failed to fetch document after a rejected edit', err);
+            onError('Could not reload the document');
+        }
+    };
+
+    const scheduleReconnect = () => {
+        clearTimeout(retryTimer);
+        if (destroyed) return;
+        if (!navigator.onLine) {
+            onConnectionChange({ status: 'offline' }); // The 'online' listener picks it up again
+            return;
+        }
+
+        attempt += 1;
+        // Exponential backoff with jitter so a restarted server isn't hit by every client at once
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+        onConnectionChange({ status: 'reconnecting', attempt, retryAt: Date.now() + delay });
+        retryTimer = setTimeout(() => socket.connect(), delay);
+    };
+
+    const reconnectNow = () => {
+        clearTimeout(retryTimer);
+        if (destroyed || socket.connected) return;
+        onConnectionChange({ status: 'connecting', rejoining: hasSynced });
+        socket.connect();
+    };
+
+    const handleOffline = () => {
+        if (socket.connected) return; // The socket notices on its own and lands in scheduleReconnect
+        clearTimeout(retryTimer);
+        onConnectionChange({ status: 'offline' });
+    };
+
+    window.addEventListener('online', reconnectNow);
+    window.addEventListener('offline', handleOffline);
+
+    // Resolves to whether we are in the room; the ack carries our effective role
+    const joinRoom = () => new Promise((resolve) => {
+        const inFlight = pending?.inFlight;
+        socket.timeout(JOIN_TIMEOUT_MS).emit('join-document', { documentId, opId: inFlight?.opId }, (err, response) => {
+            if (err) {
+                // Start over with a fresh connection rather than sit outside the room
+                socket.disconnect();
+                scheduleReconnect();
+                resolve(false);
+            } else if (!response?.ok) {
+                loseAccess({ code: response?.code || 'FORBIDDEN', message: response?.message });
+                resolve(false);
+            } else {
+                if (inFlight && pending?.inFlight === inFlight) settleInFlight(response.opApplied);
+                onRoleChange(response.role);
+                onConnectionChange({ status: 'live' });
+                resolve(true);
+            }
+        });
+    });
+
+    // The server applied our unacknowledged delta right after `baseRevision`, so it becomes
+    // part of the base; only what follows it is still ours to send
+    const settleInFlight = (applied) => {
+        if (applied) {
+            const base = new Delta(pending.baseContents);
+            const local = base.compose(new Delta(pending.changes));
+            const nextBase = base.compose(new Delta(pending.inFlight.delta));
+            pending.baseRevision += 1;
+            pending.baseContents = nextBase.ops;
+            pending.changes = nextBase.diff(local).ops;
+            if (pending.changes.length === 0) pending.count = 0; // It was all we had
+        }
+        delete pending.inFlight;
+        persistPending();
+    };
+
+    // Resolves to whether `session` reaches server revision `target` within `timeoutMs`
+    const waitForRevision = (session, target, timeoutMs) => new Promise((resolve) => {
+        const check = () => {
+            if (client !== session) finish(false);
+            else if (session.getRevision() >= target) finish(true);
+        };
+        const finish = (caughtUp) => {
+            clearTimeout(timer);
+            revisionWaiters.delete(check);
+            resolve(caughtUp);
+        };
+        const timer = setTimeout(() => finish(false), timeoutMs);
+        revisionWaiters.add(check);
+        check();
+    });
+
+    const notifyRevision = () => revisionWaiters.forEach(check => check());
+
+    const startSession = (serverRevision, serverContents) => {
+        const session = createOTClient({
+            revision: serverRevision,
+            contents: serverContents,
+            sendDelta: (rev, delta) => {
+                const opId = crypto.randomUUID();
+                inFlightOpId = opId;
+                socket.emit('send-changes', { documentId, revision: rev, delta: delta.ops, opId }, (response) => {
+                    if (response?.ok === false) {
+                        if (client !== session) return;
+                        if (response.code === 'SUGGEST_ONLY') {
+                            client = null;
+                            onSessionChange(false);
+                            onError(response.message || 'Only suggested changes can be made to this document');
+                            followServer();
+                        } else {
+                            loseAccess({ code: response.code, message: response.message });
+                        }
+                        return;
+                    }
+                    if (inFlightOpId === opId) inFlightOpId = null;
+                    session.serverAck();
+                    notifyRevision();
+                });
+            },
+            applyDelta: (delta) => {
+                getEditor()?.updateContents(delta, 'api');
+            },
+        });
+        client = session;
+        hasSynced = true;
+        onSessionChange(true);
+    };
+
+    // Brings the editor to `serverContents` plus `change`, then sends `change` as a normal edit
+    const resume = (serverRevision, serverContents, change) => {
+        const editor = getEditor();
+        if (!editor) return;
+
+        const target = change ? serverContents.compose(change) : serverContents;
+        const correction = editor.getContents().diff(target);
+        if (correction.ops.length > 0) {
+            editor.updateContents(correction, 'api');
+        }
+
+        startSession(serverRevision, serverContents);
+        pending = null;
+        persistPending();
+
+        if (change && change.ops.length > 0) {
+            client.applyClient(change);
+        }
+    };
+
+    const fetchServerCopy = async () => {
+        const { data } = await api.get(`/documents/${documentId}`);
+        return {
+            serverRevision: data.revision ?? 0,
+            serverContents: getEditor().clipboard.convert({ html: data.content || '' }),
+        };
+    };
+
+    const raiseConflict = (reason, base, changes) => {
+        client = null; // Stop sending until the user decides
+        onSessionChange(false);
+        conflict = { base, changes };
+        onConflict({ reason, pendingCount: pending?.count || 0 });
+    };
+
+    const reconcile = async () => {
+        await restored;
+        if (destroyed || !(await joinRoom())) return;
+        const editor = getEditor();
+        if (destroyed || !editor) return;
+
+        // First connection with nothing queued: the document we just loaded is current
+        if (!hasSynced && !pending?.count) {
+            startSession(revision, editor.getContents());
+            return;
+        }
+        if (hasSynced) onResync();
+
+        let serverRevision, serverContents;
+        try {
+            ({ serverRevision, serverContents } = await fetchServerCopy());
+        } catch (err) {
+            console.error('Failed to fetch document for resync', err);
+            onError('Could not reach the server to sync your changes');
+            return;
+        }
+        if (destroyed || !socket.connected) return;
+
+        if (!pending?.count) {
+            resume(serverRevision, serverContents, null);
+        } else if (serverRevision === pending.baseRevision) {
+            // Nobody else touched the document, so our edits apply cleanly
+            resume(serverRevision, serverContents, new Delta(pending.changes));
+        } else {
+            raiseConflict('offline', new Delta(pending.baseContents), new Delta(pending.changes));
+        }
+    };
+
+    socket.on('connect', () => {
+        attempt = 0;
+        clearTimeout(retryTimer);
+        onConnectionChange({ status: 'connecting', rejoining: hasSynced });
+        reconcile();
+    });
+
+    // Failed (re)connection attempts; rejected tokens are refreshed by createSocket instead,
+    // which calls onAuthFailed above if that doesn't help
+    socket.on('connect_error', (err) => {
+        if (!isAuthError(err)) scheduleReconnect();
+    });
+
+    socket.on('disconnect', (reason) => {
+        onSessionChange(false);
+        if (reason === 'io client disconnect') return; // We are leaving on purpose
+        scheduleReconnect();
+
+        // Anything the server never confirmed is carried over into the offline queue
+        const unconfirmed = client?.hasPendingChanges() ? client.getPendingDelta() : null;
+        const outstanding = client?.getOutstandingDelta();
+        const entry = ensurePending(); // Snapshot the last confirmed state before dropping the session
+        if (outstanding && inFlightOpId) {
+            // The server may have applied it without our hearing back; the next join tells us
+            entry.inFlight = { opId: inFlightOpId, delta: outstanding.ops };
+        }
+        client = null;
+        inFlightOpId = null;
+        notifyRevision();
+        if (unconfirmed) {
+            queueChange(unconfirmed);
+        }
+    });
+
+    socket.on('access-changed', ({ documentId: changedId, role }) => {
+        if (changedId !== documentId) return;
+        if (role) onRoleChange(role);
+        else loseAccess({ code: 'FORBIDDEN' });
+    });
+
+    // Listen for incoming changes (already ordered and assigned a revision by the server)
+    socket.on('receive-changes', ({ delta }) => {
+        client?.applyServer(delta);
+        notifyRevision();
+    });
+
+    return {
+        socket,
+
+        applyLocalChange: (delta) => {
+            if (client) {
+                client.applyClient(delta);
+            } else {
+                queueChange(delta);
+            }
+        },
+
+        // 'mine' keeps the local version, 'theirs' drops it, 'merge' rebases it onto the latest server copy
+        resolveConflict: async (choice) => {
+            if (!conflict) return;
+            const { base, changes } = conflict;
+
+            let serverRevision, serverContents;
+            try {
+                ({ serverRevision, serverContents } = await fetchServerCopy());
+            } catch (err) {
+                console.error('Failed to fetch document for conflict resolution', err);
+                onError('Could not reach the server to resolve the conflict');
+                return;
+            }
+            if (destroyed || !socket.connected) {
+                onError('You are offline. Reconnect to resolve the conflict.');
+                return;
+            }
+
+            let change = null;
+            if (choice === 'mine') {
+                change = serverContents.diff(base.compose(changes));
+            } else if (choice === 'merge') {
+                change = base.diff(serverContents).transform(changes, true);
+            }
+
+            conflict = null;
+            onConflict(null);
+            resume(serverRevision, serverContents, change);
+        },
+
+        // Resolves to { ok, revision } once the server has stored the content, or to
+        // { ok: false, reason } with reason 'offline' | 'timeout' | 'conflict' | 'rejected'.
+        // The save carries the last revision we saw confirmed; the server answers
+        // { conflict: true, revision } when its copy is at a revision we have not seen.
+        // Usually that is just other people's deltas still on their way to us, so we wait
+        // for our session to reach that revision and save the caught-up editor once more.
+        // Only if we never get there, or the second save is refused too, do the copies
+        // really differ and the conflict is raised.
+        // Autosaves are flagged so the server can decide whether they deserve a version snapshot.
+        // The server records the authenticated user as the author of the save.
+        save: (content, { autosave = false } = {}) => {
+            if (!client || !socket.connected) {
+                return Promise.resolve({ ok: false, reason: 'offline' });
+            }
+
+            const session = client;
+            const send = (html, isRetry) => new Promise((resolve) => {
+                const payload = { documentId, content: html, autosave, revision: session.getRevision() };
+                socket.timeout(SAVE_TIMEOUT_MS).emit('save-document', payload, async (err, response) => {
+                    if (err) {
+                        resolve({ ok: false, reason: 'timeout' });
+                    } else if (response?.ok) {
+                        resolve({ ok: true, revision: response.revision });
+                    } else if (response?.code) {
+                        if (client === session) loseAccess({ code: response.code, message: response.message });
+                        resolve({ ok: false, reason: 'rejected', message: response.message || 'You no longer have permission to edit this document' });
+                    } else if (response?.conflict) {
+                        const canCatchUp = !isRetry && typeof response.revision === 'number';
+                        if (canCatchUp && await waitForRevision(session, response.revision, SAVE_TIMEOUT_MS)) {
+                            resolve(send(getEditor()?.getSemanticHTML() ?? html, true));
+                            return;
+                        }
+                        if (client === session) {
+                            const base = session.getServerContents();
+                            raiseConflict('save', base, base.diff(getEditor().getContents()));
+                        }
+                        resolve({ ok: false, reason: 'conflict' });
+                    } else {
+                        resolve({ ok: false, reason: 'rejected', message: response?.message });
+                    }
+                });
+            });
+            return send(content, false);
+        },
+
+        // Last server revision this tab has seen confirmed (the offline queue's base while disconnected)
+        getRevision: () => client ? client.getRevision() : pending?.baseRevision ?? revision,
+
+        // "Retry now" instead of waiting out the backoff
+        reconnectNow,
+
+        destroy: () => {
+            destroyed = true;
+            clearTimeout(retryTimer);
+            window.removeEventListener('online', reconnectNow);
+            window.removeEventListener('offline', handleOffline);
+            socket.disconnect();
+        },
+    };
+};
@@ -0,0 +1,13 @@
+// Some browsers (Safari, Firefox) start the download a moment after the click and
+// fail it if the object URL is gone by then
+const REVOKE_DELAY_MS = 1000;
+
+// Saves `blob` as `fileName` through a temporary object URL
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
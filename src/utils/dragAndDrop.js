@@ -0,0 +1,2 @@
+// MIME type for dragging a document card, so drops ignore stray text or files
+export const DOCUMENT_DRAG_TYPE = 'application/x-doccollab-document';
@@ -0,0 +1,2 @@
+// Makes plain text safe to place in HTML text or a quoted attribute
+export const escapeHtml = (text) => text.replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
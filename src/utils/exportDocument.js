@@ -0,0 +1,141 @@
+import { htmlToDelta, withoutSuggestions } from './richTextDiff';
+import { escapeHtml } from './escapeHtml';
+import { downloadBlob } from './downloadBlob';
+
+export const EXPORT_FORMATS = [
+    { value: 'md', label: 'Markdown (.md)' },
+    { value: 'html', label: 'Web page (.html)' },
+    { value: 'pdf', label: 'PDF (.pdf)' },
+    { value: 'docx', label: 'Word (.docx)' },
+];
+
+// Print-friendly styling shared by the standalone HTML and the PDF render
+const exportStyles = (root) => `
+    ${root} { font-family: 'Inter', Arial, sans-serif; color: #0F172A; background: #FFFFFF; line-height: 1.6; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+    ${root} h1, ${root} h2, ${root} h3, ${root} h4 { line-height: 1.3; margin: 1.2em 0 0.5em; }
+    ${root} p { margin: 0 0 0.75em; }
+    ${root} ul, ${root} ol { margin: 0 0 0.75em; padding-left: 1.5em; }
+`;
+
+const toFileName = (title, extension) => `${(title || 'Untitled').replace(/[\\/:*?"<>|]+/g, '').trim() || 'Untitled'}.${extension}`;
+
+const toStandaloneHtml = (title, html) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${exportStyles('body')}</style>
+</head>
+<body>
+${html}
+</body>
+</html>
+`;
+
+const toMarkdown = async (html) => {
+    const { default: TurndownService } = await import('turndown');
+    const turndown = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' });
+    turndown.addRule('strikethrough', {
+        filter: ['s', 'del', 'strike'],
+        replacement: (text) => `~~${text}~~`,
+    });
+    // Markdown has no underline, so keep it as inline HTML
+    turndown.keep(['u']);
+    return turndown.turndown(html);
+};
+
+const toPdf = async (html) => {
+    const { jsPDF } = await import('jspdf');
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+
+    // jsPDF lays out a live element, so render one off-screen at page width
+    const container = document.createElement('div');
+    container.innerHTML = `<style>${exportStyles('.pdf-export')}</style><div class="pdf-export">${html}</div>`;
+    Object.assign(container.style, { position: 'fixed', left: '-10000px', top: '0', width: '760px' });
+    document.body.appendChild(container);
+
+    try {
+        await pdf.html(container, {
+            margin: [40, 40, 40, 40],
+            autoPaging: 'text',
+            width: pdf.internal.pageSize.getWidth() - 80,
+            windowWidth: 760,
+        });
+        return pdf.output('blob');
+    } finally {
+        container.remove();
+    }
+};
+
+// Builds Word paragraphs straight from the Quill Delta so headings, lists and
+// inline formats map onto native Word styles instead of imported HTML
+const toDocx = async (html) => {
+    const { Document, Packer, Paragraph, TextRun, HeadingLevel, LevelFormat } = await import('docx');
+
+    const HEADINGS = { 1: HeadingLevel.HEADING_1, 2: HeadingLevel.HEADING_2, 3: HeadingLevel.HEADING_3, 4: HeadingLevel.HEADING_4 };
+    const ORDERED_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+
+    const paragraphs = [];
+    let listInstance = 0;
+    let previousList = null;
+
+    htmlToDelta(html).eachLine((line, attributes) => {
+        const runs = line.ops
+            .filter(op => typeof op.insert === 'string')
+            .map(op => new TextRun({
+                text: op.insert,
+                bold: op.attributes?.bold,
+                italics: op.attributes?.italic,
+                underline: op.attributes?.underline ? {} : undefined,
+                strike: op.attributes?.strike,
+            }));
+
+        const level = attributes.indent || 0;
+        // Each separate ordered list starts counting from 1 again
+        if (attributes.list === 'ordered' && previousList !== 'ordered') listInstance += 1;
+        previousList = attributes.list || null;
+
+        paragraphs.push(new Paragraph({
+            children: runs,
+            heading: HEADINGS[attributes.header],
+            bullet: attributes.list === 'bullet' ? { level } : undefined,
+            numbering: attributes.list === 'ordered' ? { reference: 'ordered', level, instance: listInstance } : undefined,
+        }));
+    });
+
+    const doc = new Document({
+        numbering: {
+            config: [{
+                reference: 'ordered',
+                levels: Array.from({ length: 9 }, (_, level) => ({
+                    level,
+                    format: ORDERED_FORMATS[level % ORDERED_FORMATS.length],
+                    text: `%${level + 1}.`,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+                })),
+            }],
+        },
+        sections: [{ children: paragraphs }],
+    });
+
+    return Packer.toBlob(doc);
+};
+
+// Converts stored document HTML to `format` and downloads it, leaving pending
+// suggestions out. The heavier converters are only loaded the first time they are used.
+export const exportDocument = async (format, { title, html }) => {
+    const cleanHtml = withoutSuggestions(html);
+
+    if (format === 'md') {
+        const markdown = await toMarkdown(cleanHtml);
+        downloadBlob(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), toFileName(title, 'md'));
+    } else if (format === 'html') {
+        downloadBlob(new Blob([toStandaloneHtml(title, cleanHtml)], { type: 'text/html;charset=utf-8' }), toFileName(title, 'html'));
+    } else if (format === 'pdf') {
+        downloadBlob(await toPdf(cleanHtml), toFileName(title, 'pdf'));
+    } else if (format === 'docx') {
+        downloadBlob(await toDocx(cleanHtml), toFileName(title, 'docx'));
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+};
@@ -0,0 +1,54 @@
+import { toEditorHtml } from './richTextDiff';
+import { escapeHtml } from './escapeHtml';
+
+export const IMPORT_ACCEPT = '.md,.markdown,.html,.htm,.docx,.txt';
+
+const extensionOf = (fileName) => fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+
+export const isImportable = (file) => IMPORT_ACCEPT.split(',').includes(`.${extensionOf(file.name)}`);
+
+// "Q3 plan_final.docx" -> "Q3 plan final"
+export const titleFromFileName = (fileName) => {
+    const base = fileName.includes('.') ? fileName.slice(0, fileName.lastIndexOf('.')) : fileName;
+    return base.replace(/[_-]+/g, ' ').trim() || 'Untitled';
+};
+
+const textToHtml = (text) => text
+    .split(/\r?\n/)
+    .map(line => `<p>${line ? escapeHtml(line) : '<br>'}</p>`)
+    .join('');
+
+// Full HTML pages bring a <head> and scripts along; only the body is content
+const bodyOf = (html) => new DOMParser().parseFromString(html, 'text/html').body.innerHTML;
+
+const toHtml = async (file) => {
+    const extension = extensionOf(file.name);
+
+    if (extension === 'docx') {
+        const mammoth = await import('mammoth');
+        const { value } = await (mammoth.default || mammoth).convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+        return value;
+    }
+
+    const text = await file.text();
+    if (extension === 'md' || extension === 'markdown') {
+        const { marked } = await import('marked');
+        return marked.parse(text);
+    }
+    if (extension === 'html' || extension === 'htm') {
+        return bodyOf(text);
+    }
+    return textToHtml(text);
+};
+
+// Reads a picked or dropped file into { title, content } ready for POST /documents.
+// Content goes through Quill so only formats the editor supports are kept.
+export const readImportFile = async (file) => {
+    if (!isImportable(file)) {
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+    return {
+        title: titleFromFileName(file.name),
+        content: toEditorHtml(await toHtml(file)),
+    };
+};
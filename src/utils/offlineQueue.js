@@ -0,0 +1,119 @@
+import Delta from 'quill-delta';
+
+// Persists edits made while the socket is down so they survive reloads and crashes.
+// One entry per document and tab, so tabs editing the same document offline keep
+// separate queues:
+//   { documentId, tabId, userId, baseRevision, baseContents, changes, count, updatedAt }
+// `baseContents` is the last server-confirmed document (Delta ops) and `changes`
+// is every offline edit composed into a single Delta on top of it.
+
+const DB_NAME = 'doccollab-offline';
+const STORE_NAME = 'pendingChangesByTab';
+const LEGACY_STORE_NAME = 'pendingChanges'; // Version 1: one entry per document
+
+// Each tab holds a lock named after its id for as long as it is open. An entry whose
+// lock is free was left behind by a tab that closed, reloaded or crashed, and the
+// next tab to open that document takes it over.
+const TAB_ID = crypto.randomUUID();
+const tabLockName = (tabId) => `collabdocs:offline-tab:${tabId}`;
+navigator.locks?.request(tabLockName(TAB_ID), () => new Promise(() => {}));
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.createObjectStore(STORE_NAME, { keyPath: ['documentId', 'tabId'] });
+                store.createIndex('documentId', 'documentId');
+
+                // Entries from before per-tab queues belong to no open tab, so they are up for the taking
+                if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+                    const legacy = request.transaction.objectStore(LEGACY_STORE_NAME);
+                    legacy.getAll().onsuccess = (e) => {
+                        e.target.result.forEach(entry => store.put({ ...entry, tabId: 'legacy' }));
+                        db.deleteObjectStore(LEGACY_STORE_NAME);
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = action(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// Ids of the tabs that are still open. Without Web Locks we can't tell, so every other tab counts as closed.
+const openTabIds = async () => {
+    if (!navigator.locks) return new Set([TAB_ID]);
+    const { held } = await navigator.locks.query();
+    const prefix = tabLockName('');
+    return new Set(held.filter(lock => lock.name.startsWith(prefix)).map(lock => lock.name.slice(prefix.length)));
+};
+
+// Folds queues into one on top of the newest base (highest `baseRevision`). Each queue is
+// rebased over what the server did since its own base, the same way a 'merge' conflict
+// resolution does, and the queues are applied oldest base first.
+const mergeQueues = (entries) => {
+    const newest = entries[entries.length - 1];
+    const base = new Delta(newest.baseContents);
+    const changes = entries.reduce((merged, entry) => {
+        const rebased = new Delta(entry.baseContents).diff(base).transform(new Delta(entry.changes), true);
+        return merged.compose(merged.transform(rebased, true));
+    }, new Delta());
+
+    return {
+        ...newest,
+        changes: changes.ops,
+        count: entries.reduce((sum, entry) => sum + (entry.count || 0), 0),
+        updatedAt: Math.max(...entries.map(entry => entry.updatedAt || 0)),
+    };
+};
+
+// Moves every queue of `userId` for the document that no open tab owns (our own from
+// earlier in this tab included) over to this tab, merged into one, and returns it, or
+// undefined. Queues of other open tabs are left alone; they send or keep them themselves.
+export const loadPendingChanges = async (documentId, userId) => {
+    const openTabs = await openTabIds();
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        let claimed;
+
+        store.index('documentId').getAll(documentId).onsuccess = (e) => {
+            const candidates = e.target.result
+                .filter(entry => entry.userId === userId && (entry.tabId === TAB_ID || !openTabs.has(entry.tabId)))
+                .sort((a, b) => (a.baseRevision - b.baseRevision) || ((a.updatedAt || 0) - (b.updatedAt || 0)));
+            if (!candidates.length) return;
+            if (candidates.length === 1 && candidates[0].tabId === TAB_ID) {
+                claimed = candidates[0];
+                return;
+            }
+
+            candidates.forEach(entry => store.delete([documentId, entry.tabId]));
+            claimed = { ...mergeQueues(candidates), tabId: TAB_ID };
+            store.put(claimed);
+        };
+
+        tx.oncomplete = () => resolve(claimed);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+export const savePendingChanges = (entry) => withStore('readwrite', store => store.put({ ...entry, tabId: TAB_ID }));
+
+// Only drops this tab's queue; other tabs may still be holding edits for the same document
+export const clearPendingChanges = (documentId) => withStore('readwrite', store => store.delete([documentId, TAB_ID]));
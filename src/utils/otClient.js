@@ -0,0 +1,77 @@
+import Delta from 'quill-delta';
+
+// Client half of a central-server operational transform protocol.
+//
+// The server owns the revision counter. Each client keeps at most one delta
+// "in flight" (sent but not yet acknowledged) and buffers everything typed
+// while waiting. Incoming server deltas are transformed against the in-flight
+// and buffered deltas so every client converges on the same document.
+//
+// `contents` is the document as of `revision`; the client keeps it up to date
+// with everything the server has confirmed so callers can rebase on it later.
+// `sendDelta(revision, delta)` must deliver the delta to the server and call
+// `client.serverAck()` once the server has applied it.
+// `applyDelta(delta)` must apply an already-transformed remote delta locally.
+export const createOTClient = ({ revision = 0, contents = [], sendDelta, applyDelta }) => {
+    let currentRevision = revision;
+    let serverContents = new Delta(contents);
+    let outstanding = null; // Sent, waiting for the server's ack
+    let buffer = null;      // Typed locally while `outstanding` is in flight
+
+    const applyClient = (change) => {
+        const delta = new Delta(change);
+        if (!outstanding) {
+            outstanding = delta;
+            sendDelta(currentRevision, outstanding);
+        } else if (!buffer) {
+            buffer = delta;
+        } else {
+            buffer = buffer.compose(delta);
+        }
+    };
+
+    const applyServer = (change) => {
+        let incoming = new Delta(change);
+        currentRevision += 1;
+        serverContents = serverContents.compose(incoming);
+
+        // The server already applied `incoming`, so it wins ties (priority = true)
+        // when we rebase our pending work on top of it.
+        if (outstanding) {
+            const nextOutstanding = incoming.transform(outstanding, true);
+            incoming = outstanding.transform(incoming, false);
+            outstanding = nextOutstanding;
+        }
+        if (buffer) {
+            const nextBuffer = incoming.transform(buffer, true);
+            incoming = buffer.transform(incoming, false);
+            buffer = nextBuffer;
+        }
+
+        applyDelta(incoming);
+    };
+
+    const serverAck = () => {
+        if (!outstanding) return;
+        currentRevision += 1;
+        serverContents = serverContents.compose(outstanding);
+        outstanding = buffer;
+        buffer = null;
+        if (outstanding) {
+            sendDelta(currentRevision, outstanding);
+        }
+    };
+
+    return {
+        applyClient,
+        applyServer,
+        serverAck,
+        getRevision: () => currentRevision,
+        getServerContents: () => serverContents,
+        // The delta sent but not acknowledged, rebased onto getServerContents(), or null
+        getOutstandingDelta: () => outstanding,
+        // Everything typed locally that the server has not confirmed yet
+        getPendingDelta: () => (outstanding || new Delta()).compose(buffer || new Delta()),
+        hasPendingChanges: () => Boolean(outstanding || buffer),
+    };
+};
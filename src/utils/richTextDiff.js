@@ -0,0 +1,80 @@
+import Delta, { AttributeMap, Op, OpIterator } from 'quill-delta';
+import { Quill } from 'react-quill-new';
+import { resolveSuggestions } from './suggestions'; // Also registers the tracked-change formats so they survive conversion
+
+const REMOVED_ATTRIBUTES = { strike: true, background: 'rgba(239, 68, 68, 0.25)' };
+const ADDED_ATTRIBUTES = { underline: true, background: 'rgba(16, 185, 129, 0.25)' };
+
+// Detached editor used only to convert between stored HTML and Deltas
+let scratchEditor = null;
+const getScratchEditor = () => {
+    if (!scratchEditor) {
+        scratchEditor = new Quill(document.createElement('div'));
+    }
+    return scratchEditor;
+};
+
+export const htmlToDelta = (html) => getScratchEditor().clipboard.convert({ html: html || '' });
+
+export const deltaToHtml = (delta) => {
+    const editor = getScratchEditor();
+    editor.setContents(delta, 'silent');
+    return editor.getSemanticHTML();
+};
+
+// Round-trips stored HTML through Quill so only formats the editor knows survive
+export const toEditorHtml = (html) => deltaToHtml(htmlToDelta(html));
+
+// Same as toEditorHtml, for readers outside the review: pending suggestions are not part
+// of the document yet, so it reads as if they were all rejected. Suggested insertions
+// are left out and suggested deletions kept as plain text. With `accept` it reads as if
+// they were all accepted instead, e.g. for a copy that should carry the edits along.
+export const withoutSuggestions = (html, { accept = false } = {}) => {
+    const contents = htmlToDelta(html);
+    return deltaToHtml(contents.compose(resolveSuggestions(contents, () => true, accept)));
+};
+
+// Renders two versions side by side: `before` with removed text struck through
+// in red and `after` with inserted text underlined in green. Formatting-only
+// changes show up in `after` with the new formatting applied.
+export const renderSideBySideDiff = (beforeHtml, afterHtml) => {
+    const beforeDoc = htmlToDelta(beforeHtml);
+    const change = beforeDoc.diff(htmlToDelta(afterHtml));
+
+    const before = new Delta();
+    const after = new Delta();
+    const beforeIter = new OpIterator(beforeDoc.ops);
+
+    change.ops.forEach((op) => {
+        if (op.insert !== undefined) {
+            after.insert(op.insert, { ...op.attributes, ...ADDED_ATTRIBUTES });
+            return;
+        }
+
+        let length = Op.length(op);
+        while (length > 0) {
+            const piece = beforeIter.next(length);
+            length -= Op.length(piece);
+
+            if (op.delete) {
+                before.insert(piece.insert, { ...piece.attributes, ...REMOVED_ATTRIBUTES });
+            } else {
+                before.insert(piece.insert, piece.attributes);
+                after.insert(piece.insert, AttributeMap.compose(piece.attributes, op.attributes));
+            }
+        }
+    });
+
+    // Anything past the last op is unchanged
+    while (beforeIter.hasNext()) {
+        const piece = beforeIter.next();
+        before.insert(piece.insert, piece.attributes);
+        after.insert(piece.insert, piece.attributes);
+    }
+
+    return {
+        beforeHtml: deltaToHtml(before),
+        afterHtml: deltaToHtml(after),
+        hasChanges: change.ops.length > 0,
+    };
+};
@@ -0,0 +1,138 @@
+import Delta, { AttributeMap, OpIterator } from 'quill-delta';
+import { Quill } from 'react-quill-new';
+
+// Tracked changes live in the document itself as two inline formats, so they
+// sync, save and version like any other formatting:
+//   <span data-suggest-insert='{"id","authorId","author","createdAt"}'>added</span>
+//   <span data-suggest-delete='{"id","authorId","author","createdAt"}'>removed</span>
+export const INSERT = 'suggest-insert';
+export const DELETE = 'suggest-delete';
+
+const { Attributor, Scope } = Quill.import('parchment');
+Quill.register({
+    [`formats/${INSERT}`]: new Attributor(INSERT, `data-${INSERT}`, { scope: Scope.INLINE }),
+    [`formats/${DELETE}`]: new Attributor(DELETE, `data-${DELETE}`, { scope: Scope.INLINE }),
+}, true);
+
+export const parseMeta = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+const createMeta = (user) => JSON.stringify({
+    id: crypto.randomUUID(),
+    authorId: user?._id,
+    author: user?.username,
+    createdAt: new Date().toISOString(),
+});
+
+const isMine = (value, user) => Boolean(value) && parseMeta(value)?.authorId === user?._id;
+
+// Continues the user's own suggestion right before `start` or at `end`, so typing
+// a word is one suggestion rather than one per keystroke
+const adjacentMeta = (editor, start, end, format, user) => {
+    const candidates = [start > 0 && editor.getFormat(start - 1, 1)[format], editor.getFormat(end, 1)[format]];
+    return candidates.find(value => isMine(value, user)) || createMeta(user);
+};
+
+// Turns a plain user edit (already applied to `editor`) into a tracked one.
+// Returns the correcting delta to apply on top, or null if nothing needs tracking:
+//   - inserted text is marked as a suggested insertion
+//   - deleted text is put back and marked as a suggested deletion, unless it was
+//     the user's own pending insertion, which is simply removed
+//   - formatting changes are reverted
+export const trackChange = (editor, delta, oldContents, user) => {
+    const correction = new Delta();
+    const oldIter = new OpIterator(oldContents.ops);
+    let index = 0; // Position in the edited document
+
+    delta.ops.forEach((op) => {
+        if (op.insert !== undefined) {
+            const length = typeof op.insert === 'string' ? op.insert.length : 1;
+            const current = op.attributes?.[INSERT];
+            const meta = isMine(current, user) ? current : adjacentMeta(editor, index, index + length, INSERT, user);
+            correction.retain(length, { [INSERT]: meta, [DELETE]: null });
+            index += length;
+            return;
+        }
+
+        if (op.delete) {
+            let remaining = op.delete;
+            while (remaining > 0) {
+                const piece = oldIter.next(remaining);
+                const length = typeof piece.insert === 'string' ? piece.insert.length : 1;
+                remaining -= length;
+
+                if (isMine(piece.attributes?.[INSERT], user)) continue; // Withdrawing our own suggestion
+                const meta = piece.attributes?.[DELETE] || adjacentMeta(editor, index, index, DELETE, user);
+                correction.insert(piece.insert, { ...piece.attributes, [DELETE]: meta });
+            }
+            return;
+        }
+
+        let remaining = op.retain;
+        while (remaining > 0) {
+            const piece = oldIter.next(remaining);
+            const length = typeof piece.insert === 'string' ? piece.insert.length : 1;
+            remaining -= length;
+            correction.retain(length, op.attributes ? AttributeMap.invert(op.attributes, piece.attributes) : undefined);
+        }
+        index += op.retain;
+    });
+
+    const trimmed = correction.chop();
+    return trimmed.ops.some(op => op.insert !== undefined || op.attributes) ? trimmed : null;
+};
+
+// Every open suggestion in document order, grouped by id
+export const listSuggestions = (contents) => {
+    const byId = new Map();
+    let index = 0;
+
+    contents.ops.forEach((op) => {
+        const length = typeof op.insert === 'string' ? op.insert.length : 1;
+        [INSERT, DELETE].forEach((format) => {
+            const meta = op.attributes?.[format] && parseMeta(op.attributes[format]);
+            if (!meta) return;
+            const existing = byId.get(meta.id);
+            const text = typeof op.insert === 'string' ? op.insert : '';
+            if (existing) {
+                existing.text += text;
+                existing.length = index + length - existing.index;
+            } else {
+                byId.set(meta.id, { ...meta, type: format === INSERT ? 'insert' : 'delete', index, length, text });
+            }
+        });
+        index += length;
+    });
+
+    return [...byId.values()];
+};
+
+// Builds one delta that accepts or rejects every suggestion matching `shouldResolve`.
+// Accepting an insertion or rejecting a deletion keeps the text and drops the mark;
+// the other two remove the text.
+export const resolveSuggestions = (contents, shouldResolve, accept) => {
+    const change = new Delta();
+
+    contents.ops.forEach((op) => {
+        const length = typeof op.insert === 'string' ? op.insert.length : 1;
+        const format = [INSERT, DELETE].find(name => {
+            const meta = op.attributes?.[name] && parseMeta(op.attributes[name]);
+            return meta && shouldResolve(meta);
+        });
+
+        if (!format) {
+            change.retain(length);
+        } else if ((format === INSERT) === accept) {
+            change.retain(length, { [format]: null });
+        } else {
+            change.delete(length);
+        }
+    });
+
+    return change.chop();
+};
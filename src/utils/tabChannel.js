@@ -0,0 +1,14 @@
+// Messages between tabs of the app on the same origin. Falls back to a no-op where
+// BroadcastChannel is missing, so callers behave as if they were the only tab.
+export const openTabChannel = (name, onMessage) => {
+    if (typeof BroadcastChannel === 'undefined') {
+        return { post: () => {}, close: () => {} };
+    }
+
+    const channel = new BroadcastChannel(`collabdocs:${name}`);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+        post: (message) => channel.postMessage(message),
+        close: () => channel.close(),
+    };
+};
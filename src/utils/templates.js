@@ -0,0 +1,72 @@
+import { escapeHtml } from './escapeHtml';
+
+// Placeholders a template may use in its title or body, filled in when a document is created from it
+export const TEMPLATE_PLACEHOLDERS = ['{{date}}', '{{time}}', '{{author}}', '{{title}}'];
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        _id: 'builtin-meeting-notes',
+        name: 'Meeting notes',
+        description: 'Attendees, agenda, decisions and action items',
+        title: 'Meeting notes {{date}}',
+        content: [
+            '<h1>{{title}}</h1>',
+            '<p><strong>Date:</strong> {{date}} · <strong>Notes by:</strong> {{author}}</p>',
+            '<h2>Attendees</h2><ul><li></li></ul>',
+            '<h2>Agenda</h2><ol><li></li></ol>',
+            '<h2>Decisions</h2><ul><li></li></ul>',
+            '<h2>Action items</h2><ul><li><strong>Owner</strong> · task · due date</li></ul>',
+        ].join(''),
+    },
+    {
+        _id: 'builtin-rfc',
+        name: 'RFC',
+        description: 'Proposal with motivation, design and alternatives',
+        title: 'RFC: ',
+        content: [
+            '<h1>{{title}}</h1>',
+            '<p><strong>Author:</strong> {{author}} · <strong>Status:</strong> Draft · <strong>Created:</strong> {{date}}</p>',
+            '<h2>Summary</h2><p></p>',
+            '<h2>Motivation</h2><p></p>',
+            '<h2>Detailed design</h2><p></p>',
+            '<h2>Alternatives considered</h2><ul><li></li></ul>',
+            '<h2>Open questions</h2><ul><li></li></ul>',
+        ].join(''),
+    },
+    {
+        _id: 'builtin-status-report',
+        name: 'Status report',
+        description: 'Weekly progress, risks and next steps',
+        title: 'Status report {{date}}',
+        content: [
+            '<h1>{{title}}</h1>',
+            '<p><strong>Reporting:</strong> {{author}} · <strong>Week of:</strong> {{date}}</p>',
+            '<h2>Highlights</h2><ul><li></li></ul>',
+            '<h2>Progress</h2><ul><li></li></ul>',
+            '<h2>Risks and blockers</h2><ul><li></li></ul>',
+            '<h2>Next steps</h2><ul><li></li></ul>',
+        ].join(''),
+    },
+];
+
+const placeholderValues = ({ author, title }) => {
+    const now = new Date();
+    return {
+        date: now.toLocaleDateString(),
+        time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        author: author || '',
+        title: title || '',
+    };
+};
+
+// Fills {{placeholders}} in a template title (plain text). Unknown names are left as typed.
+export const fillTitle = (text, context) => {
+    const values = placeholderValues(context);
+    return text.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match);
+};
+
+// Same as fillTitle but for template HTML, so values are escaped
+export const fillContent = (html, context) => {
+    const values = placeholderValues(context);
+    return html.replace(/\{\{(\w+)\}\}/g, (match, name) => name in values ? escapeHtml(values[name]) : match);
+};